@@ -0,0 +1,263 @@
+import { createProvider } from './embeddingProviders.js';
+import { getModelInfo, applyPrefix } from './modelRegistry.js';
+import { hashText } from './embeddingCache.js';
+import { cosineSimilarity } from './vectors.js';
+
+/*
+ * Backend benchmark: runs one corpus through transformers.js on every chosen
+ * device × dtype at several batch sizes, timing each step and comparing the
+ * vectors with a reference backend. DOM-free; main.js draws the report.
+ * Providers are created here and bypass the embedding cache, so every
+ * vector is actually computed.
+ */
+
+export const BENCHMARK_FORMAT = 'webgpu-embeddings-benchmark';
+export const BENCHMARK_VERSION = 1;
+
+// Fixed corpus so reports from different machines are comparable: mixed topics and lengths
+export const BENCHMARK_CORPUS = [
+    "The cat sat on the mat.",
+    "Stock markets rallied after the central bank held interest rates steady.",
+    "How do I reset my password if I no longer have access to my email?",
+    "Photosynthesis converts light energy into chemical energy stored in glucose.",
+    "The quarterback threw a sixty-yard touchdown pass in the final minute of the game.",
+    "Preheat the oven to 200 degrees and roast the vegetables for forty minutes.",
+    "My order arrived damaged and I would like a refund.",
+    "Transformers use self-attention to weigh the relevance of every token in a sequence.",
+    "The museum's new exhibition explores the influence of Japanese woodblock prints on European painters.",
+    "Heavy rain is expected across the northern region tonight, with flooding possible in low-lying areas.",
+    "Can you recommend a good book about the history of mathematics?",
+    "The patient reported chest pain radiating to the left arm and was admitted for observation.",
+    "Rust guarantees memory safety without a garbage collector by enforcing ownership rules at compile time.",
+    "She planted tomatoes, basil and peppers in the raised beds behind the house.",
+    "The app crashes every time I try to upload a photo larger than ten megabytes.",
+    "Quantum entanglement links the states of particles regardless of the distance between them.",
+    "The city council approved a plan to add protected bike lanes on three major avenues.",
+    "Add two cups of flour, a pinch of salt and mix until the dough is smooth.",
+    "The championship match went to penalties after a goalless draw.",
+    "Inflation eased slightly last month, but housing costs continued to rise.",
+    "Our team migrated the service from a monolith to microservices over six months, which reduced deployment times but made debugging distributed failures considerably harder.",
+    "Regular exercise lowers the risk of heart disease, improves sleep and helps regulate mood.",
+    "The spacecraft entered orbit around Jupiter after a five-year journey.",
+    "Please update the shipping address on my account.",
+    "Gradient descent iteratively moves parameters in the direction that reduces the loss.",
+    "The novel follows three generations of a family living through war, migration and reconciliation.",
+    "Coral reefs are bleaching as ocean temperatures climb above their long-term averages.",
+    "Hi",
+    "The band's reunion tour sold out within minutes of tickets going on sale.",
+    "Vaccines train the immune system to recognize a pathogen without causing the disease itself.",
+    "When the database connection pool is exhausted, incoming requests queue until a timeout and then fail with a 503, so the alerting threshold should fire before the pool saturates.",
+    "A light breakfast of yogurt, berries and granola keeps me going until lunch.",
+];
+
+/**
+ * Devices transformers.js can use in this environment, in preference order.
+ * WebGPU counts only when an adapter is actually available.
+ * @returns {Promise<string[]>}
+ */
+export async function availableDevices() {
+    if (typeof Worker === 'undefined') return ['cpu']; // Node: onnxruntime-node
+    const devices = [];
+    if (navigator.gpu) {
+        try {
+            if (await navigator.gpu.requestAdapter()) devices.push('webgpu');
+        } catch (e) {
+            // no usable adapter
+        }
+    }
+    devices.push('wasm');
+    return devices;
+}
+
+// Nearest-rank percentile of an unsorted list
+function percentile(values, p) {
+    if (!values.length) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p / 100 * sorted.length) - 1))];
+}
+
+// Rejects when the promise has not settled after ms
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(message)), ms); });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Largest absolute component difference and cosine agreement between two runs
+function compareVectors(vectors, reference) {
+    let maxAbs = 0;
+    let sumCosine = 0;
+    let minCosine = Infinity;
+    vectors.forEach((v, i) => {
+        const r = reference[i];
+        for (let d = 0; d < v.length; d++) maxAbs = Math.max(maxAbs, Math.abs(v[d] - r[d]));
+        const cos = cosineSimilarity(v, r);
+        sumCosine += cos;
+        minCosine = Math.min(minCosine, cos);
+    });
+    return { maxAbs, meanCosine: sumCosine / vectors.length, minCosine };
+}
+
+async function describeEnvironment() {
+    const environment = { userAgent: null, hardwareConcurrency: null, gpu: null };
+    if (typeof navigator === 'undefined') return environment;
+    environment.userAgent = navigator.userAgent || null;
+    environment.hardwareConcurrency = navigator.hardwareConcurrency || null;
+    if (navigator.gpu) {
+        try {
+            const adapter = await navigator.gpu.requestAdapter();
+            // GPUAdapterInfo fields are getters, so copy them explicitly
+            const info = adapter && adapter.info;
+            if (info) environment.gpu = { vendor: info.vendor, architecture: info.architecture, device: info.device, description: info.description };
+        } catch (e) {
+            // reported as no GPU
+        }
+    }
+    return environment;
+}
+
+/**
+ * Runs the device × dtype × batch size matrix for one model. The reference
+ * backend runs first; every other backend's vectors are compared with it
+ * (at the smallest batch size, so padding is the same on both sides).
+ */
+export class BackendBenchmark {
+    /**
+     * @param {object} options
+     * @param {string} options.modelId - a transformers.js model from the registry
+     * @param {string[]} [options.texts] - defaults to BENCHMARK_CORPUS
+     * @param {string[]} options.devices
+     * @param {string[]} options.dtypes
+     * @param {number[]} [options.batchSizes=[1, 8, 32]]
+     * @param {{ device: string, dtype: string }} [options.reference] - defaults to
+     *   wasm (or cpu) with fp32 when in the matrix, else the first combination
+     * @param {number} [options.loadTimeoutMs=300000] - a combination whose model has not
+     *   loaded by then is recorded as failed (downloads count, so allow for slow networks)
+     */
+    constructor({ modelId, texts = BENCHMARK_CORPUS, devices, dtypes, batchSizes = [1, 8, 32], reference = null, loadTimeoutMs = 300000 }) {
+        if (!texts.length) throw new Error("The benchmark corpus is empty");
+        if (!devices.length || !dtypes.length || !batchSizes.length) throw new Error("Choose at least one device, dtype and batch size");
+        this.modelId = modelId;
+        this.texts = texts;
+        this.batchSizes = [...new Set(batchSizes.map(b => Math.max(1, b | 0)))].sort((a, b) => a - b);
+
+        const configs = devices.flatMap(device => dtypes.map(dtype => ({ device, dtype })));
+        const isReference = reference
+            ? (c) => c.device === reference.device && c.dtype === reference.dtype
+            : (c) => (c.device === 'wasm' || c.device === 'cpu') && c.dtype === 'fp32';
+        const referenceIndex = Math.max(0, configs.findIndex(isReference));
+        this.reference = configs[referenceIndex];
+        this.configs = [this.reference, ...configs.filter((_, i) => i !== referenceIndex)];
+        this.loadTimeoutMs = loadTimeoutMs;
+        this.provider = null; // the combination being measured
+        this.cancelled = false;
+    }
+
+    /**
+     * Stops the running load or batch; run() resolves with what was measured so far
+     * (the interrupted combination is recorded with error 'Cancelled').
+     */
+    cancel() {
+        this.cancelled = true;
+        // Disposing rejects the provider's pending load() / embed()
+        if (this.provider) this.provider.dispose();
+    }
+
+    /**
+     * @param {object} [callbacks]
+     * @param {(message: string) => void} [callbacks.onStatus]
+     * @param {(result: object, report: object) => void} [callbacks.onResult] - after each device × dtype
+     * @returns {Promise<object>} the report, ready for JSON.stringify
+     */
+    async run({ onStatus = () => {}, onResult = () => {} } = {}) {
+        this.cancelled = false;
+        const inputs = applyPrefix(getModelInfo(this.modelId), this.texts, 'document');
+        const report = {
+            format: BENCHMARK_FORMAT,
+            version: BENCHMARK_VERSION,
+            createdAt: new Date().toISOString(),
+            environment: await describeEnvironment(),
+            model: this.modelId,
+            corpus: { size: this.texts.length, hash: await hashText(this.texts.join('\n')) },
+            batchSizes: this.batchSizes,
+            reference: this.reference,
+            results: [],
+            cancelled: false,
+        };
+
+        let referenceVectors = null;
+        for (const config of this.configs) {
+            if (this.cancelled) break;
+            const result = await this._runConfig(config, inputs, onStatus);
+            if (result.vectors) {
+                if (config === this.reference) referenceVectors = result.vectors;
+                result.diff = referenceVectors && result.vectors.length === referenceVectors.length
+                    ? compareVectors(result.vectors, referenceVectors)
+                    : null;
+                delete result.vectors;
+            }
+            report.results.push(result);
+            onResult(result, report);
+        }
+        report.cancelled = this.cancelled;
+        return report;
+    }
+
+    async _runConfig({ device, dtype }, inputs, onStatus) {
+        const label = `${device}/${dtype}`;
+        const result = { device, dtype, loadMs: null, firstMs: null, batches: [], diff: null, error: null };
+        const provider = createProvider({ type: 'transformers', modelId: this.modelId, dtype, device });
+        this.provider = provider;
+        try {
+            let start = performance.now();
+            await withTimeout(
+                provider.load(msg => onStatus(`${label}: ${msg}`)),
+                this.loadTimeoutMs,
+                `Model did not load within ${this.loadTimeoutMs / 1000} s`,
+            );
+            result.loadMs = performance.now() - start;
+
+            // Includes one-off costs such as WebGPU shader compilation
+            start = performance.now();
+            await provider.embed([inputs[0]], { batchSize: 1 });
+            result.firstMs = performance.now() - start;
+
+            for (const batchSize of this.batchSizes) {
+                const itemMs = [];
+                const vectors = [];
+                let totalMs = 0;
+                for (let i = 0; i < inputs.length; i += batchSize) {
+                    if (this.cancelled) return result;
+                    onStatus(`${label}: batch size ${batchSize}, ${i}/${inputs.length}`);
+                    const batch = inputs.slice(i, i + batchSize);
+                    start = performance.now();
+                    const { embeddings } = await provider.embed(batch, { batchSize });
+                    const ms = performance.now() - start;
+                    totalMs += ms;
+                    batch.forEach(() => itemMs.push(ms / batch.length));
+                    vectors.push(...embeddings);
+                }
+                result.batches.push({
+                    batchSize,
+                    p50Ms: percentile(itemMs, 50),
+                    p95Ms: percentile(itemMs, 95),
+                    itemsPerSecond: inputs.length / (totalMs / 1000),
+                    totalMs,
+                });
+                if (!result.vectors) result.vectors = vectors;
+            }
+        } catch (err) {
+            // e.g. a dtype the backend cannot run; keep going with the rest
+            if (this.cancelled) {
+                result.error = 'Cancelled';
+            } else {
+                console.warn(`Benchmark ${label} failed:`, err);
+                result.error = err.message;
+            }
+        } finally {
+            provider.dispose();
+            this.provider = null;
+        }
+        return result;
+    }
+}
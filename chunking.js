@@ -0,0 +1,229 @@
+import { norm } from './vectors.js';
+
+/*
+ * Splits long documents into chunks before embedding, and folds chunk
+ * vectors back into one vector per document. Models truncate inputs past
+ * their token limit, so without chunking only a document's opening is embedded.
+ *
+ * Sizes are counted in approximate tokens: whitespace-separated words, with
+ * every Chinese / Japanese character counted on its own. Subword tokenizers
+ * produce somewhat more tokens than this, so leave headroom below the model limit.
+ */
+
+export const CHUNK_STRATEGIES = ['none', 'sentences', 'tokens', 'paragraphs'];
+export const CHUNK_AGGREGATIONS = ['mean', 'max', 'first'];
+
+const NO_SPACES = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}';
+const TOKEN = new RegExp(`[${NO_SPACES}]|[^\\s${NO_SPACES}]+`, 'gu');
+
+const sentenceSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: 'sentence' })
+    : null;
+
+function countTokens(text) {
+    return (text.match(TOKEN) || []).length;
+}
+
+function splitSentences(text) {
+    const sentences = sentenceSegmenter
+        ? Array.from(sentenceSegmenter.segment(text), s => s.segment)
+        : text.match(/[^.!?。！？]+(?:[.!?。！？]+|$)/g) || [];
+    return sentences.map(s => s.trim()).filter(Boolean);
+}
+
+// Windows of `size` tokens, each starting `size - overlap` tokens after the previous one
+function tokenWindows(text, size, overlap) {
+    const spans = Array.from(text.matchAll(TOKEN), m => [m.index, m.index + m[0].length]);
+    if (spans.length <= size) return [text.trim()];
+    const step = Math.max(1, size - overlap);
+    const chunks = [];
+    for (let start = 0; start < spans.length; start += step) {
+        const end = Math.min(spans.length, start + size);
+        chunks.push(text.slice(spans[start][0], spans[end - 1][1]));
+        if (end === spans.length) break;
+    }
+    return chunks;
+}
+
+// Consecutive sentences joined while they fit in `size` tokens; longer sentences become windows
+function packSentences(text, size) {
+    const chunks = [];
+    let current = [];
+    let count = 0;
+    const flush = () => {
+        if (current.length) chunks.push(current.join(' '));
+        current = [];
+        count = 0;
+    };
+    for (const sentence of splitSentences(text)) {
+        const n = countTokens(sentence);
+        if (n > size) {
+            flush();
+            chunks.push(...tokenWindows(sentence, size, 0));
+            continue;
+        }
+        if (count + n > size) flush();
+        current.push(sentence);
+        count += n;
+    }
+    flush();
+    return chunks;
+}
+
+/**
+ * @param {string} text
+ * @param {object} [options]
+ * @param {'none'|'sentences'|'tokens'|'paragraphs'} [options.strategy='sentences']
+ *   sentences: consecutive sentences up to `size` tokens per chunk;
+ *   tokens: fixed windows of `size` tokens overlapping by `overlap`;
+ *   paragraphs: one chunk per blank-line separated paragraph (long ones split by sentences)
+ * @param {number} [options.size=128] - maximum tokens per chunk
+ * @param {number} [options.overlap=32] - tokens shared by consecutive windows ('tokens' only)
+ * @returns {string[]} at least one chunk for non-empty text
+ */
+export function chunkText(text, { strategy = 'sentences', size = 128, overlap = 32 } = {}) {
+    text = (text || '').trim();
+    if (!text) return [];
+    size = Math.max(1, size | 0);
+    let chunks;
+    switch (strategy) {
+        case 'none':
+            return [text];
+        case 'tokens':
+            chunks = tokenWindows(text, size, Math.min(Math.max(0, overlap | 0), size - 1));
+            break;
+        case 'paragraphs':
+            chunks = text.split(/\r?\n\s*\n/)
+                .map(p => p.trim())
+                .filter(Boolean)
+                .flatMap(p => (countTokens(p) > size ? packSentences(p, size) : [p]));
+            break;
+        case 'sentences':
+            chunks = packSentences(text, size);
+            break;
+        default:
+            throw new Error(`Unknown chunking strategy: ${strategy}`);
+    }
+    return chunks.length ? chunks : [text];
+}
+
+/**
+ * Chunks every document, keeping track of where each chunk came from.
+ * @param {string[]} texts
+ * @param {object} [options] - see chunkText
+ * @returns {{ chunks: string[], parents: number[], positions: number[], counts: number[] }}
+ *   parents[j] / positions[j]: document index and order of chunk j; counts[i]: chunks of document i
+ */
+export function chunkDocuments(texts, options = {}) {
+    const chunks = [];
+    const parents = [];
+    const positions = [];
+    const counts = texts.map((text, i) => {
+        const pieces = chunkText(text, options);
+        pieces.forEach((piece, p) => {
+            chunks.push(piece);
+            parents.push(i);
+            positions.push(p);
+        });
+        return pieces.length;
+    });
+    return { chunks, parents, positions, counts };
+}
+
+/**
+ * One vector per document from its chunk vectors. When the chunk vectors are
+ * unit length, mean and max results are normalized again to match.
+ * @param {number[][]} vectors - chunk vectors
+ * @param {number[]} parents - document index per chunk
+ * @param {number} count - number of documents
+ * @param {'mean'|'max'|'first'} [method='mean']
+ * @returns {number[][]}
+ */
+export function aggregateVectors(vectors, parents, count, method = 'mean') {
+    if (!CHUNK_AGGREGATIONS.includes(method)) throw new Error(`Unknown aggregation: ${method}`);
+    const dims = vectors.length ? vectors[0].length : 0;
+    const sums = Array.from({ length: count }, () => null);
+    const sizes = new Array(count).fill(0);
+    vectors.forEach((v, j) => {
+        const doc = parents[j];
+        sizes[doc]++;
+        if (!sums[doc]) {
+            sums[doc] = Array.from(v);
+        } else if (method === 'mean') {
+            for (let d = 0; d < dims; d++) sums[doc][d] += v[d];
+        } else if (method === 'max') {
+            for (let d = 0; d < dims; d++) sums[doc][d] = Math.max(sums[doc][d], v[d]);
+        }
+    });
+
+    const unit = vectors.length > 0 && Math.abs(norm(vectors[0]) - 1) < 1e-3;
+    return sums.map((v, doc) => {
+        if (!v || sizes[doc] === 1 || method === 'first') return v;
+        if (method === 'mean') v = v.map(x => x / sizes[doc]);
+        if (!unit) return v;
+        const length = norm(v);
+        return length > 0 ? v.map(x => x / length) : v;
+    });
+}
+
+/**
+ * The chunking stage in front of EmbeddingManager.generateEmbeddings.
+ * Documents are embedded chunk by chunk (each chunk is cached on its own),
+ * then either aggregated per document or returned as chunks whose metadata
+ * links them to their parent document (fields: document, chunk, document text).
+ * After a cancel, only documents whose chunks were all embedded are kept.
+ * @param {import('./embeddingManager.js').EmbeddingManager} embeddingManager
+ * @param {string[]} texts
+ * @param {object} [options]
+ * @param {object|null} [options.chunking] - chunkText options plus
+ *   aggregate ('mean' | 'max' | 'first') and output ('documents' | 'chunks');
+ *   null or strategy 'none' embeds the texts as they are
+ * @param {object[]|null} [options.metadata] - per text; copied onto its chunks
+ * @param {number} [options.documentOffset=0] - added to document numbers (for additions to a map)
+ * @param {Function} [options.onProgress] - as for generateEmbeddings, counted in chunks
+ * @returns {Promise<{ lines: string[], embeddings: number[][], metadata: object[]|null,
+ *   documents: number, chunks: number, cancelled: boolean }>}
+ */
+export async function embedDocuments(embeddingManager, texts, { chunking = null, metadata = null, documentOffset = 0, onProgress = null } = {}) {
+    if (!chunking || chunking.strategy === 'none') {
+        const { embeddings, cancelled } = await embeddingManager.generateEmbeddings(texts, onProgress);
+        const n = embeddings.length;
+        return { lines: texts.slice(0, n), embeddings, metadata: metadata ? metadata.slice(0, n) : null, documents: n, chunks: n, cancelled };
+    }
+
+    const { chunks, parents, positions, counts } = chunkDocuments(texts, chunking);
+    const { embeddings, cancelled } = await embeddingManager.generateEmbeddings(chunks, onProgress);
+
+    // Chunks are in document order, so the complete documents are a prefix
+    let documents = 0;
+    let embedded = 0;
+    while (documents < texts.length && embedded + counts[documents] <= embeddings.length) {
+        embedded += counts[documents];
+        documents++;
+    }
+
+    if (chunking.output === 'chunks') {
+        const chunkMetadata = parents.slice(0, embedded).map((doc, j) => ({
+            ...(metadata ? metadata[doc] : {}),
+            document: documentOffset + doc + 1,
+            chunk: `${positions[j] + 1}/${counts[doc]}`,
+            'document text': texts[doc].length > 80 ? texts[doc].slice(0, 79) + '…' : texts[doc],
+        }));
+        return {
+            lines: chunks.slice(0, embedded),
+            embeddings: embeddings.slice(0, embedded),
+            metadata: chunkMetadata,
+            documents,
+            chunks: embedded,
+            cancelled,
+        };
+    }
+    return {
+        lines: texts.slice(0, documents),
+        embeddings: aggregateVectors(embeddings.slice(0, embedded), parents.slice(0, embedded), documents, chunking.aggregate || 'mean'),
+        metadata: metadata ? metadata.slice(0, documents) : null,
+        documents,
+        chunks: embedded,
+        cancelled,
+    };
+}
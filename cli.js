@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/*
+ * Headless run of the embedding → topics → projection pipeline.
+ *
+ *   node cli.js tickets.csv --text-column body --k 8 --method umap -o result.json
+ *
+ * Writes the same JSON as the web app's "Export → JSON" (items with text,
+ * topic, coordinates and vector, plus the topic table) to --output or stdout.
+ * Progress goes to stderr.
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { parseFile, guessTextColumn } from './dataImport.js';
+import { createProvider } from './embeddingProviders.js';
+import { EmbeddingManager } from './embeddingManager.js';
+import { runPipeline } from './pipeline.js';
+import { runJSON } from './dataExport.js';
+import { OUTLIER_TOPIC } from './topicModeler.js';
+
+const USAGE = `Usage: node cli.js <file.txt|.csv|.tsv|.jsonl> [options]
+
+  --text-column <name>    column holding the documents (default: longest column)
+  --meta <a,b,...>        columns kept as item metadata (default: all others)
+  --provider <name>       transformers | openai | ollama (default: transformers)
+  --model <id>            model id or server model name
+  --dtype <dtype>         transformers.js quantization, e.g. q8, fp32
+  --url <url>             server URL for openai / ollama
+  --api-key <key>         bearer token for openai (or OPENAI_API_KEY)
+  --local-models <dir>    read transformers.js models from <dir> instead of the Hub
+  --k <n|auto>            number of topics (default: auto)
+  --clustering <name>     kmeans | hdbscan (default: kmeans)
+  --min-cluster-size <n>  HDBSCAN minimum cluster size (default: 5)
+  --method <name>         pca | umap | tsne (default: pca)
+  --dims <2|3>            projection dimensions (default: 3)
+  --seed <n|random>       seed for k-means and UMAP / t-SNE (default: 42)
+  --chunk <strategy>      none | sentences | tokens | paragraphs (default: none)
+  --chunk-size <n>        maximum tokens (words) per chunk (default: 128)
+  --chunk-overlap <n>     tokens shared by consecutive token windows (default: 32)
+  --aggregate <method>    mean | max | first: one vector per document (default: mean)
+  --plot-chunks           output one item per chunk instead of per document
+  --dedupe <threshold>    collapse near-duplicates (cosine >= threshold, e.g. 0.95) before clustering
+  --batch-size <n>        embedding batch size (default: 16)
+  -o, --output <file>     write JSON here instead of stdout
+  -h, --help`;
+
+const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        'text-column': { type: 'string' },
+        meta: { type: 'string' },
+        provider: { type: 'string', default: 'transformers' },
+        model: { type: 'string' },
+        dtype: { type: 'string' },
+        url: { type: 'string' },
+        'api-key': { type: 'string' },
+        'local-models': { type: 'string' },
+        k: { type: 'string', default: 'auto' },
+        clustering: { type: 'string', default: 'kmeans' },
+        'min-cluster-size': { type: 'string', default: '5' },
+        method: { type: 'string', default: 'pca' },
+        dims: { type: 'string', default: '3' },
+        seed: { type: 'string', default: '42' },
+        chunk: { type: 'string', default: 'none' },
+        'chunk-size': { type: 'string', default: '128' },
+        'chunk-overlap': { type: 'string', default: '32' },
+        aggregate: { type: 'string', default: 'mean' },
+        'plot-chunks': { type: 'boolean' },
+        dedupe: { type: 'string' },
+        'batch-size': { type: 'string', default: '16' },
+        output: { type: 'string', short: 'o' },
+        help: { type: 'boolean', short: 'h' },
+    },
+});
+
+const log = (message) => process.stderr.write(`${message}\n`);
+
+async function main() {
+    if (values.help || positionals.length !== 1) {
+        log(USAGE);
+        process.exitCode = values.help ? 0 : 1;
+        return;
+    }
+
+    const path = positionals[0];
+    const table = parseFile(basename(path), await readFile(path, 'utf8'));
+    const textColumn = values['text-column'] || guessTextColumn(table);
+    if (!table.columns.includes(textColumn)) {
+        throw new Error(`No column "${textColumn}" (columns: ${table.columns.join(', ')})`);
+    }
+    const metaColumns = values.meta ? values.meta.split(',').map(c => c.trim()) : table.columns.filter(c => c !== textColumn);
+    const rows = table.rows.filter(row => String(row[textColumn] ?? '').trim());
+    const texts = rows.map(row => String(row[textColumn]).trim());
+    if (texts.length === 0) throw new Error(`No text found in column "${textColumn}"`);
+    const metadata = metaColumns.length ? rows.map(row => Object.fromEntries(metaColumns.map(c => [c, row[c] ?? '']))) : null;
+    const dedupe = values.dedupe === undefined ? null : parseFloat(values.dedupe);
+    if (dedupe !== null && !(dedupe > 0 && dedupe <= 1)) throw new Error(`--dedupe takes a cosine similarity in (0, 1], got "${values.dedupe}"`);
+
+    const manager = new EmbeddingManager(createProvider({
+        type: values.provider,
+        modelId: values.model,
+        dtype: values.dtype,
+        baseUrl: values.url,
+        apiKey: values['api-key'] || process.env.OPENAI_API_KEY || '',
+        localModelPath: values['local-models'],
+    }));
+    manager.batchSize = parseInt(values['batch-size'], 10) || 16;
+
+    let lastPct = -1;
+    const result = await runPipeline(texts, {
+        embeddingManager: manager,
+        k: values.k === 'auto' ? null : parseInt(values.k, 10),
+        clustering: values.clustering,
+        clusterOptions: { minClusterSize: parseInt(values['min-cluster-size'], 10) || 5 },
+        reduction: values.method,
+        targetDim: values.dims === '2' ? 2 : 3,
+        seed: values.seed === 'random' ? null : parseInt(values.seed, 10),
+        chunking: values.chunk === 'none' ? null : {
+            strategy: values.chunk,
+            size: parseInt(values['chunk-size'], 10) || 128,
+            overlap: parseInt(values['chunk-overlap'], 10) || 0,
+            aggregate: values.aggregate,
+            output: values['plot-chunks'] ? 'chunks' : 'documents',
+        },
+        metadata,
+        dedupe,
+        onStatus: log,
+        onProgress: (done, total) => {
+            const pct = Math.floor((done / total) * 10) * 10;
+            if (pct !== lastPct) log(`  ${done}/${total}`);
+            lastPct = pct;
+        },
+    });
+    manager.provider.dispose();
+
+    const json = runJSON(result);
+
+    if (values.output) {
+        await writeFile(values.output, json);
+        const topicCount = result.topics.filter(t => t.id !== OUTLIER_TOPIC).length;
+        log(`Wrote ${result.lines.length} items in ${topicCount} topics to ${values.output} (run ${result.fingerprint})`);
+    } else {
+        process.stdout.write(json + '\n');
+    }
+}
+
+main().catch((err) => {
+    log(`Error: ${err.message}`);
+    process.exitCode = 1;
+});
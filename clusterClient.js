@@ -0,0 +1,58 @@
+/**
+ * Main-thread side of clusterWorker.js. Only the latest request matters
+ * (e.g. while dragging the k slider): starting one stops the worker if it
+ * is still busy, and the older promise rejects with an AbortError.
+ */
+export class ClusterClient {
+    constructor() {
+        this.worker = null;
+        this.pending = null; // { id, resolve, reject }
+        this.nextId = 0;
+    }
+
+    /**
+     * TopicModeler.cluster in the worker.
+     * @param {number[][]} embeddings
+     * @param {number|null} k
+     * @param {object} [options] - as for TopicModeler.run
+     * @returns {Promise<{ clusters: number[], kSelection: object|null }>}
+     */
+    cluster(embeddings, k, options = {}) {
+        this.cancel();
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./clusterWorker.js', import.meta.url), { type: 'module' });
+            this.worker.addEventListener('message', (e) => this._onMessage(e.data));
+            this.worker.addEventListener('error', (e) => this._fail(new Error(`Clustering worker failed: ${e.message || 'the worker script could not be loaded'}`)));
+        }
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending = { id, resolve, reject };
+            this.worker.postMessage({ id, embeddings, k, options });
+        });
+    }
+
+    /** Stops the running request, if any. */
+    cancel() {
+        if (!this.pending) return;
+        const error = new Error("Clustering was superseded");
+        error.name = 'AbortError';
+        this._fail(error);
+    }
+
+    _onMessage({ id, clusters, kSelection, error }) {
+        if (!this.pending || this.pending.id !== id) return;
+        const { resolve, reject } = this.pending;
+        this.pending = null;
+        if (error) reject(new Error(error));
+        else resolve({ clusters, kSelection });
+    }
+
+    // The worker may be mid-computation, so it is replaced rather than reused
+    _fail(error) {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        const request = this.pending;
+        this.pending = null;
+        if (request) request.reject(error);
+    }
+}
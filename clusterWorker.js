@@ -0,0 +1,21 @@
+import { TopicModeler } from './topicModeler.js';
+
+/*
+ * Runs TopicModeler.cluster off the main thread (auto-k scans and HDBSCAN
+ * take seconds on a few thousand vectors). Keywords stay on the main thread.
+ *
+ * in:  { id, embeddings, k, options }
+ * out: { id, clusters, kSelection } or { id, error }
+ */
+
+const topicModeler = new TopicModeler();
+
+self.addEventListener('message', ({ data }) => {
+    const { id, embeddings, k, options } = data;
+    try {
+        const { clusters, kSelection } = topicModeler.cluster(embeddings, k, options);
+        self.postMessage({ id, clusters, kSelection });
+    } catch (err) {
+        self.postMessage({ id, error: err.message });
+    }
+});
@@ -0,0 +1,20 @@
+/*
+ * Runtime configuration.
+ *
+ * Offline mode serves model weights from `public/models/<model id>/` (reachable
+ * at /models/) instead of the Hugging Face Hub. Enable it at build time with
+ * VITE_OFFLINE=true, or per page load with `?offline`.
+ *
+ * The onnxruntime-web wasm binaries are always served from this origin
+ * (see the `ortAssets` plugin in vite.config.js), never from a CDN.
+ */
+const params = new URLSearchParams(globalThis.location ? globalThis.location.search : '');
+// import.meta.env only exists under Vite; the Node CLI imports this module too
+const viteEnv = import.meta.env || {};
+const base = viteEnv.BASE_URL || '/';
+
+export const config = {
+    offline: viteEnv.VITE_OFFLINE === 'true' || params.has('offline'),
+    localModelPath: viteEnv.VITE_LOCAL_MODEL_PATH || `${base}models/`,
+    wasmPaths: `${base}ort/`,
+};
@@ -0,0 +1,107 @@
+/*
+ * Serializes a finished run for downstream tools. All functions are pure and
+ * return file contents as strings; the caller decides how to save them.
+ *
+ * A run is { lines, embeddings, reduced, topics, assignments, metadata?, model?, axisTitles?, fingerprint?, duplicates? }
+ * where assignments[i] is the topic id of lines[i] and topics carry { id, label, keywords, indices }.
+ */
+
+/**
+ * RFC 4180 CSV; fields with commas, quotes or newlines are quoted.
+ * @param {string[]} columns
+ * @param {object[]} rows
+ * @returns {string}
+ */
+export function toCSV(columns, rows) {
+    const escape = (value) => {
+        const s = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    return [columns.map(escape).join(','), ...rows.map(row => columns.map(c => escape(row[c])).join(','))].join('\r\n') + '\r\n';
+}
+
+// Item rows: index, text, topic, coordinates and metadata fields
+function itemRows(run) {
+    const labels = new Map(run.topics.map(t => [t.id, t.label]));
+    const dims = run.reduced ? run.reduced[0].length : 0;
+    const metaFields = run.metadata && run.metadata.length ? Object.keys(run.metadata[0]) : [];
+    const columns = ['index', 'text', 'topic_id', 'topic_label', ...['x', 'y', 'z'].slice(0, dims), ...metaFields];
+    const rows = run.lines.map((text, i) => {
+        const row = { index: i, text, topic_id: run.assignments[i], topic_label: labels.get(run.assignments[i]) };
+        ['x', 'y', 'z'].slice(0, dims).forEach((axis, d) => { row[axis] = run.reduced[i][d]; });
+        for (const field of metaFields) row[field] = run.metadata[i][field];
+        return row;
+    });
+    return { columns, rows };
+}
+
+/** @returns {string} one row per item: text, topic, coordinates, metadata */
+export function itemsCSV(run) {
+    const { columns, rows } = itemRows(run);
+    return toCSV(columns, rows);
+}
+
+/** @returns {string} one row per item: index then one column per embedding dimension */
+export function vectorsCSV(run) {
+    const dims = run.embeddings.length ? run.embeddings[0].length : 0;
+    const columns = ['index', ...Array.from({ length: dims }, (_, d) => `d${d}`)];
+    const rows = run.embeddings.map((v, i) => {
+        const row = { index: i };
+        for (let d = 0; d < dims; d++) row[`d${d}`] = v[d];
+        return row;
+    });
+    return toCSV(columns, rows);
+}
+
+/** @returns {string} one row per topic: id, label, size and keywords (joined with "; ") */
+export function topicsCSV(run) {
+    const rows = run.topics.map(t => ({ id: t.id, label: t.label, size: t.indices.length, keywords: t.keywords.join('; ') }));
+    return toCSV(['id', 'label', 'size', 'keywords'], rows);
+}
+
+/**
+ * Everything in one document: items with vectors and coordinates, and the topic table.
+ * @returns {string}
+ */
+export function runJSON(run) {
+    const labels = new Map(run.topics.map(t => [t.id, t.label]));
+    return JSON.stringify({
+        model: run.model || null,
+        fingerprint: run.fingerprint || null,
+        axisTitles: run.axisTitles || null,
+        items: run.lines.map((text, i) => ({
+            index: i,
+            text,
+            topic: run.assignments[i],
+            topicLabel: labels.get(run.assignments[i]),
+            coordinates: run.reduced ? run.reduced[i] : null,
+            embedding: Array.from(run.embeddings[i]),
+            metadata: run.metadata ? run.metadata[i] : undefined,
+        })),
+        topics: run.topics.map(t => ({
+            id: t.id,
+            label: t.label,
+            size: t.indices.length,
+            keywords: t.keywords,
+            representativeDocs: t.representativeDocs,
+        })),
+        // Near-duplicate groups (duplicates.js) when deduplication was on
+        duplicates: run.duplicates || undefined,
+    });
+}
+
+// TSV cells cannot hold tabs or newlines
+const tsvCell = (value) => String(value ?? '').replace(/[\t\r\n]+/g, ' ');
+
+/**
+ * TensorFlow Embedding Projector files (projector.tensorflow.org → Load).
+ * metadata.tsv has a header row because it has more than one column.
+ * @returns {{ vectors: string, metadata: string }}
+ */
+export function projectorTSV(run) {
+    const vectors = run.embeddings.map(v => Array.from(v).join('\t')).join('\n') + '\n';
+    const { columns, rows } = itemRows(run);
+    const metaColumns = columns.filter(c => !['index', 'x', 'y', 'z'].includes(c));
+    const metadata = [metaColumns.map(tsvCell).join('\t'), ...rows.map(row => metaColumns.map(c => tsvCell(row[c])).join('\t'))].join('\n') + '\n';
+    return { vectors, metadata };
+}
@@ -0,0 +1,139 @@
+/*
+ * Parses imported files into { columns, rows } tables:
+ *  - .csv / .tsv: first row is the header (RFC 4180 quoting, embedded newlines)
+ *  - .jsonl / .ndjson: one JSON object per line; .json: an array of objects
+ *  - anything else: plain text, one document per blank-line separated
+ *    paragraph (or per line when there are no blank lines), column "text"
+ */
+
+/**
+ * @param {string} name - file name, used to pick the format
+ * @param {string} content
+ * @returns {{ columns: string[], rows: object[] }}
+ */
+export function parseFile(name, content) {
+    const ext = (name.split('.').pop() || '').toLowerCase();
+    content = content.replace(/^\uFEFF/, ''); // BOM
+    if (ext === 'csv') return parseDelimited(content, ',');
+    if (ext === 'tsv' || ext === 'tab') return parseDelimited(content, '\t');
+    if (ext === 'jsonl' || ext === 'ndjson') return parseJsonLines(content);
+    if (ext === 'json') return fromRecords(toArray(JSON.parse(content)));
+    return parseText(content);
+}
+
+/**
+ * The column whose values are the longest on average, i.e. most likely the documents.
+ * @param {{ columns: string[], rows: object[] }} table
+ * @returns {string|null}
+ */
+export function guessTextColumn({ columns, rows }) {
+    let best = null;
+    let bestLength = -1;
+    for (const column of columns) {
+        const length = rows.reduce((sum, row) => sum + String(row[column] ?? '').length, 0) / (rows.length || 1);
+        if (length > bestLength) {
+            best = column;
+            bestLength = length;
+        }
+    }
+    return best;
+}
+
+function parseDelimited(content, delimiter) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const ch = content[i];
+        if (quoted) {
+            if (ch === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && content[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || record.length) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const nonEmpty = records.filter(r => r.some(v => v.trim() !== ''));
+    if (nonEmpty.length === 0) return { columns: [], rows: [] };
+
+    // Blank or repeated header cells still need distinct keys
+    const seen = new Map();
+    const columns = nonEmpty[0].map((header, i) => {
+        let name = header.trim() || `column ${i + 1}`;
+        const count = seen.get(name) || 0;
+        seen.set(name, count + 1);
+        if (count) name = `${name} (${count + 1})`;
+        return name;
+    });
+    const rows = nonEmpty.slice(1).map(values => Object.fromEntries(columns.map((c, i) => [c, values[i] ?? ''])));
+    return { columns, rows };
+}
+
+function parseJsonLines(content) {
+    const records = content
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map((line, i) => {
+            try {
+                return JSON.parse(line);
+            } catch (err) {
+                throw new Error(`Invalid JSON on line ${i + 1}: ${err.message}`);
+            }
+        });
+    return fromRecords(records);
+}
+
+function toArray(value) {
+    if (Array.isArray(value)) return value;
+    throw new Error("Expected a JSON array of records");
+}
+
+// Bare strings become { text }; nested values are kept as JSON strings
+function fromRecords(records) {
+    const columns = [];
+    const rows = records.map(record => {
+        const obj = record !== null && typeof record === 'object' && !Array.isArray(record) ? record : { text: record };
+        const row = {};
+        for (const [key, value] of Object.entries(obj)) {
+            if (!columns.includes(key)) columns.push(key);
+            row[key] = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value ?? '');
+        }
+        return row;
+    });
+    return { columns, rows };
+}
+
+function parseText(content) {
+    const normalized = content.replace(/\r\n?/g, '\n');
+    const separator = /\n\s*\n/.test(normalized) ? /\n\s*\n/ : /\n/;
+    const rows = normalized
+        .split(separator)
+        .map(doc => doc.trim())
+        .filter(Boolean)
+        .map(text => ({ text }));
+    return { columns: ['text'], rows };
+}
@@ -0,0 +1,107 @@
+import { UMAP } from 'umap-js';
+import { TSNE, TSNE_MAX_POINTS } from './tsne.js';
+import { PCA } from './pca.js';
+import { createRandom } from './random.js';
+import { cosineSimilarity } from './vectors.js';
+
+/**
+ * Projects embeddings to 2D/3D with PCA, UMAP or t-SNE.
+ */
+export class DimensionalityReducer {
+    /**
+     * Projects embeddings to targetDim with the chosen strategy.
+     * UMAP and t-SNE optimize iteratively and report progress as they go.
+     * @param {number[][]} embeddings
+     * @param {object} [options]
+     * @param {'pca'|'umap'|'tsne'} [options.method='pca']
+     * @param {number} [options.targetDim=3]
+     * @param {{ nNeighbors?: number, minDist?: number, perplexity?: number, iterations?: number, seed?: number|null }} [options.params]
+     * @param {(done: number, total: number) => void} [options.onProgress]
+     * @returns {Promise<{ points: number[][], model: object|null, axisTitles: string[] }>}
+     *   model can project new vectors via model.transform() (PCA, UMAP); t-SNE has none
+     * @throws for t-SNE above TSNE_MAX_POINTS embeddings
+     */
+    static async project(embeddings, { method = 'pca', targetDim = 3, params = {}, onProgress = null } = {}) {
+        // Neighbour-graph methods need a handful of points to say anything
+        if (method === 'pca' || embeddings.length <= targetDim + 1) {
+            return DimensionalityReducer.reduce(embeddings, targetDim);
+        }
+
+        const random = createRandom(params.seed);
+        let optimizer;
+        if (method === 'umap') {
+            optimizer = new UMAP({
+                nComponents: targetDim,
+                nNeighbors: Math.max(2, Math.min(params.nNeighbors ?? 15, embeddings.length - 1)),
+                minDist: params.minDist ?? 0.1,
+                nEpochs: params.iterations || undefined,
+                random,
+            });
+        } else if (method === 'tsne') {
+            if (embeddings.length > TSNE_MAX_POINTS) {
+                throw new Error(`t-SNE is limited to ${TSNE_MAX_POINTS} items (it needs N² memory); use UMAP or PCA for ${embeddings.length}`);
+            }
+            optimizer = new TSNE({
+                nComponents: targetDim,
+                perplexity: params.perplexity ?? 30,
+                nIter: params.iterations || 500,
+                random,
+            });
+        } else {
+            throw new Error(`Unknown reduction method: ${method}`);
+        }
+
+        const total = optimizer.initializeFit(embeddings);
+        for (let i = 0; i < total; i++) {
+            optimizer.step();
+            if (i % 10 === 0 || i === total - 1) {
+                if (onProgress) onProgress(i + 1, total);
+                await new Promise(r => setTimeout(r, 0)); // Yield UI
+            }
+        }
+
+        const name = method === 'umap' ? 'UMAP' : 't-SNE';
+        return {
+            points: optimizer.getEmbedding(),
+            model: method === 'umap' ? optimizer : null,
+            axisTitles: Array.from({ length: targetDim }, (_, i) => `${name} ${i + 1}`),
+        };
+    }
+
+    /**
+     * Places new vectors in an existing projection. PCA and UMAP models use
+     * their own transform(); without one (t-SNE) each vector goes to the
+     * similarity-weighted mean of its k nearest fitted points.
+     * @param {object|null} model - as returned by project()
+     * @param {number[][]} vectors
+     * @param {{ embeddings: number[][], points: number[][] }} reference - the fitted data
+     * @param {number} [k=5]
+     * @returns {number[][]}
+     */
+    static transform(model, vectors, reference, k = 5) {
+        if (model && typeof model.transform === 'function') return model.transform(vectors);
+        return vectors.map(v => {
+            const nearest = reference.embeddings
+                .map((e, i) => ({ i, sim: cosineSimilarity(v, e) }))
+                .sort((a, b) => b.sim - a.sim)
+                .slice(0, k);
+            const weights = nearest.map(n => Math.max(n.sim, 0) + 1e-6);
+            const total = weights.reduce((a, b) => a + b, 0);
+            const dim = reference.points[0].length;
+            return Array.from({ length: dim }, (_, d) =>
+                nearest.reduce((sum, n, j) => sum + reference.points[n.i][d] * weights[j], 0) / total);
+        });
+    }
+
+    /**
+     * Centered PCA; axis titles carry each component's explained variance.
+     */
+    static reduce(embeddings, targetDim = 3) {
+        const model = new PCA({ nComponents: targetDim }).fit(embeddings);
+        return {
+            points: model.transform(embeddings),
+            model,
+            axisTitles: model.explainedVarianceRatio.map((r, i) => `PC${i + 1} (${(r * 100).toFixed(1)}%)`),
+        };
+    }
+}
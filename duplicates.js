@@ -0,0 +1,107 @@
+import { dot, normalize } from './vectors.js';
+
+/*
+ * Near-duplicate detection over computed embeddings. Documents whose cosine
+ * similarity reaches a threshold are linked, and linked documents form a
+ * group. Groups can be collapsed before clustering so that repeated lines
+ * do not pull k-means centroids or inflate c-TF-IDF counts. DOM-free.
+ */
+
+/**
+ * Groups of near-identical documents. Compares every pair, so the cost is O(N²).
+ * Linking is transitive: A~B and B~C put A and C in one group even if they are
+ * less similar. minScore shows how far a group has chained.
+ * @param {number[][]} embeddings
+ * @param {object} [options]
+ * @param {number} [options.threshold=0.95] - cosine similarity at which two documents are linked
+ * @returns {{ representative: number, members: { index: number, score: number }[], minScore: number }[]}
+ *   largest groups first. The representative is the member most similar to the
+ *   rest of its group. A member's score is its cosine similarity to the
+ *   representative; members are listed from highest score, representative first.
+ */
+export function findDuplicateGroups(embeddings, { threshold = 0.95 } = {}) {
+    const N = embeddings.length;
+    const unit = embeddings.map(normalize);
+
+    // Union-find over the linked pairs
+    const parent = Array.from({ length: N }, (_, i) => i);
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+    for (let i = 0; i < N; i++) {
+        for (let j = i + 1; j < N; j++) {
+            if (dot(unit[i], unit[j]) >= threshold) {
+                const a = find(i);
+                const b = find(j);
+                if (a !== b) parent[Math.max(a, b)] = Math.min(a, b);
+            }
+        }
+    }
+
+    const byRoot = new Map();
+    for (let i = 0; i < N; i++) {
+        const root = find(i);
+        if (!byRoot.has(root)) byRoot.set(root, []);
+        byRoot.get(root).push(i);
+    }
+
+    const groups = [];
+    for (const indices of byRoot.values()) {
+        if (indices.length < 2) continue;
+        // The member most similar to the rest maximizes its dot product with the
+        // group's summed vector, so no g×g similarity matrix is needed
+        const sum = new Array(unit[indices[0]].length).fill(0);
+        for (const i of indices) unit[i].forEach((v, d) => { sum[d] += v; });
+        let best = indices[0];
+        let bestTotal = -Infinity;
+        for (const i of indices) {
+            const total = dot(unit[i], sum);
+            if (total > bestTotal) {
+                bestTotal = total;
+                best = i;
+            }
+        }
+        const others = indices
+            .filter(index => index !== best)
+            .map(index => ({ index, score: Math.min(1, dot(unit[index], unit[best])) }))
+            .sort((a, b) => b.score - a.score || a.index - b.index);
+        const members = [{ index: best, score: 1 }, ...others];
+        groups.push({
+            representative: best,
+            members,
+            minScore: others.reduce((min, m) => Math.min(min, m.score), 1),
+        });
+    }
+    return groups.sort((a, b) => b.members.length - a.members.length || a.representative - b.representative);
+}
+
+/**
+ * Collapses each group to its representative. Every document that is not in
+ * a group stands for itself.
+ * @param {number} count - number of documents
+ * @param {object[]} groups - from findDuplicateGroups (leave out the groups that should stay expanded)
+ * @returns {{ representatives: number[], weights: number[], representativeOf: number[], keywordWeights: number[] }}
+ *   representatives: the documents to cluster, in ascending order;
+ *   weights[p]: the group size of representatives[p], so clustering can count the group in full;
+ *   representativeOf[i]: the representative of document i (i itself when not grouped);
+ *   keywordWeights[i]: 1 / group size, so each group adds up to one document in keyword counts
+ */
+export function collapseDuplicates(count, groups) {
+    const representativeOf = Array.from({ length: count }, (_, i) => i);
+    const sizes = new Array(count).fill(1);
+    for (const { representative, members } of groups) {
+        for (const { index } of members) representativeOf[index] = representative;
+        sizes[representative] = members.length;
+    }
+    const representatives = representativeOf.filter((r, i) => r === i);
+    return {
+        representatives,
+        weights: representatives.map(i => sizes[i]),
+        representativeOf,
+        keywordWeights: representativeOf.map(r => 1 / sizes[r]),
+    };
+}
@@ -0,0 +1,127 @@
+/*
+ * Persistent embedding cache (IndexedDB).
+ *
+ * Records are keyed by [modelKey, hash]:
+ *   modelKey - provider + model id + everything that changes the vector
+ *              (dtype, pooling, normalization), see provider.cacheKey
+ *   hash     - SHA-256 of the exact text sent to the model (prefix included)
+ * Vectors are stored as Float32Array to keep the database small.
+ */
+
+const DB_NAME = 'embedding-cache';
+const DB_VERSION = 1;
+const STORE = 'embeddings';
+
+/**
+ * Hex SHA-256 of a string.
+ * @param {string} text
+ */
+export async function hashText(text) {
+    const bytes = new TextEncoder().encode(text);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Wraps an IDBRequest in a promise
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class EmbeddingCache {
+    static isSupported() {
+        return typeof indexedDB !== 'undefined' && typeof crypto !== 'undefined' && !!crypto.subtle;
+    }
+
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    _open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE, { keyPath: ['model', 'hash'] });
+                    store.createIndex('model', 'model');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async _store(mode) {
+        const db = await this._open();
+        const tx = db.transaction(STORE, mode);
+        return { tx, store: tx.objectStore(STORE) };
+    }
+
+    /**
+     * @param {string} modelKey
+     * @param {string[]} hashes
+     * @returns {Promise<(number[]|undefined)[]>} one entry per hash, undefined on a miss
+     */
+    async getMany(modelKey, hashes) {
+        const { store } = await this._store('readonly');
+        const records = await Promise.all(hashes.map(hash => promisify(store.get([modelKey, hash]))));
+        return records.map(r => (r ? Array.from(r.vector) : undefined));
+    }
+
+    /**
+     * @param {string} modelKey
+     * @param {{ hash: string, vector: number[] }[]} entries
+     */
+    async putMany(modelKey, entries) {
+        if (entries.length === 0) return;
+        const { tx, store } = await this._store('readwrite');
+        for (const { hash, vector } of entries) {
+            store.put({ model: modelKey, hash, vector: Float32Array.from(vector) });
+        }
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Per-model entry counts and approximate size.
+     * @returns {Promise<{ model: string, count: number, bytes: number }[]>}
+     */
+    async stats() {
+        const { store } = await this._store('readonly');
+        const byModel = new Map();
+        await new Promise((resolve, reject) => {
+            const cursorRequest = store.openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return resolve();
+                const { model, vector } = cursor.value;
+                const entry = byModel.get(model) || { model, count: 0, bytes: 0 };
+                entry.count++;
+                entry.bytes += vector.byteLength;
+                byModel.set(model, entry);
+                cursor.continue();
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
+        return Array.from(byModel.values()).sort((a, b) => a.model.localeCompare(b.model));
+    }
+
+    /**
+     * Removes every entry for one model, or everything when modelKey is omitted.
+     * @param {string} [modelKey]
+     */
+    async clear(modelKey) {
+        const { store } = await this._store('readwrite');
+        if (modelKey === undefined) {
+            await promisify(store.clear());
+            return;
+        }
+        const keys = await promisify(store.index('model').getAllKeys(IDBKeyRange.only(modelKey)));
+        await Promise.all(keys.map(key => promisify(store.delete(key))));
+    }
+}
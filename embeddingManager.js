@@ -0,0 +1,107 @@
+import { createProvider } from './embeddingProviders.js';
+import { DEFAULT_MODEL_ID, getModelInfo, applyPrefix } from './modelRegistry.js';
+import { EmbeddingCache, hashText } from './embeddingCache.js';
+
+/**
+ * Turns texts into vectors through the active provider, with the model's
+ * role prefixes and the persistent cache (browser only) applied.
+ */
+export class EmbeddingManager {
+    /**
+     * @param {object} [provider] - defaults to transformers.js with the default model
+     */
+    constructor(provider = createProvider({ type: 'transformers', modelId: DEFAULT_MODEL_ID })) {
+        this.provider = provider;
+        this.batchSize = 16;
+        this.cache = EmbeddingCache.isSupported() ? new EmbeddingCache() : null;
+    }
+
+    get modelId() {
+        return this.provider.modelId;
+    }
+
+    get modelInfo() {
+        return getModelInfo(this.provider.modelId);
+    }
+
+    get dimensions() {
+        return this.provider.dimensions;
+    }
+
+    /** Identifies the active provider/model; stored with runs, sessions and exports. */
+    describe() {
+        const provider = this.provider;
+        return {
+            provider: provider.name,
+            modelId: provider.modelId,
+            dtype: provider.dtype || null,
+            device: provider.device || null,
+            dimensions: provider.dimensions,
+            cacheKey: provider.cacheKey,
+        };
+    }
+
+    setProvider(provider) {
+        if (this.provider) this.provider.dispose();
+        this.provider = provider;
+    }
+
+    async loadModel(statusCallback) {
+        await this.provider.load(statusCallback);
+        statusCallback(`Model ready (${this.provider.dimensions}-d).`);
+    }
+
+    /**
+     * Embeds texts in batches through the active provider, serving repeats
+     * from the persistent cache. Resolves with { embeddings, cancelled, cacheHits };
+     * after a cancel, embeddings holds the vectors for the leading texts that
+     * are available (everything computed before the cancel is cached regardless).
+     * @param {'document'|'query'} role - selects the model's instruction prefix
+     * @param {(done: number, total: number, text: string, cacheHits: number) => void} [onProgress]
+     */
+    async generateEmbeddings(texts, onProgress, role = 'document') {
+        const inputs = applyPrefix(this.modelInfo, texts, role);
+        const modelKey = this.provider.cacheKey;
+
+        let hashes = null;
+        let vectors = new Array(texts.length).fill(null);
+        if (this.cache) {
+            try {
+                hashes = await Promise.all(inputs.map(hashText));
+                vectors = await this.cache.getMany(modelKey, hashes);
+            } catch (e) {
+                console.warn("Embedding cache unavailable:", e);
+                hashes = null;
+            }
+        }
+
+        const missing = [];
+        vectors.forEach((v, i) => { if (!v) missing.push(i); });
+        const cacheHits = texts.length - missing.length;
+        if (onProgress && cacheHits > 0) onProgress(cacheHits, texts.length, texts[0], cacheHits);
+
+        let cancelled = false;
+        if (missing.length > 0) {
+            const result = await this.provider.embed(missing.map(i => inputs[i]), {
+                batchSize: this.batchSize,
+                // Report the original text, not the prefixed one
+                onProgress: onProgress && ((done) => onProgress(cacheHits + done, texts.length, texts[missing[done - 1]], cacheHits)),
+            });
+            cancelled = result.cancelled;
+            result.embeddings.forEach((vector, j) => { vectors[missing[j]] = vector; });
+
+            if (hashes) {
+                const entries = result.embeddings.map((vector, j) => ({ hash: hashes[missing[j]], vector }));
+                await this.cache.putMany(modelKey, entries).catch(e => console.warn("Embedding cache write failed:", e));
+            }
+        }
+
+        let available = vectors.findIndex(v => !v);
+        if (available === -1) available = vectors.length;
+        return { embeddings: vectors.slice(0, available), cancelled, cacheHits };
+    }
+
+    cancel() {
+        this.provider.cancel();
+    }
+}
@@ -0,0 +1,351 @@
+/*
+ * Embedding providers
+ *
+ * Every provider implements the same small interface so EmbeddingManager
+ * (and everything downstream of it) does not care where vectors come from:
+ *
+ *   load(statusCallback)            -> Promise<void>
+ *   embed(texts, { batchSize, onProgress })
+ *                                   -> Promise<{ embeddings, cancelled }>
+ *   cancel()                        -> stop the running embed() after the current batch
+ *   dispose()                       -> release workers / connections
+ *   dimensions                      -> vector size, known once load() resolved
+ *   modelId                         -> model identifier used for the vectors
+ *   cacheKey                        -> identifies everything that shapes a vector
+ *                                      (used by the persistent embedding cache)
+ */
+
+import { DEFAULT_MODEL_ID, getModelInfo } from './modelRegistry.js';
+import { config } from './config.js';
+
+/**
+ * transformers.js running in a dedicated Web Worker (see embeddingWorker.js).
+ * Pooling and normalization come from the model registry. `device` is
+ * 'webgpu' or 'wasm'; null picks WebGPU when the browser exposes it.
+ */
+export class TransformersProvider {
+    constructor({ modelId = DEFAULT_MODEL_ID, dtype = null, device = null } = {}) {
+        this.name = 'transformers';
+        this.modelId = modelId;
+        this.info = getModelInfo(modelId);
+        this.dtype = dtype || this.info.dtypes[0];
+        this.device = device || (navigator.gpu ? 'webgpu' : 'wasm');
+        this.dimensions = null;
+
+        this.worker = null;
+        this.ready = false;
+        this.nextId = 0;
+        this.pending = new Map(); // request id ('load' while loading) -> { resolve, reject, onProgress }
+        this.activeId = null;
+        this.statusCallback = null;
+    }
+
+    get cacheKey() {
+        return `transformers:${this.modelId}:${this.dtype}:${this.info.pooling}:${this.info.normalize ? 'norm' : 'raw'}`;
+    }
+
+    _onMessage(msg) {
+        if (msg.type === 'status') {
+            if (this.statusCallback) this.statusCallback(msg.message);
+            return;
+        }
+
+        const key = msg.type === 'loaded' ? 'load' : msg.id;
+        const request = this.pending.get(key);
+        if (!request) return;
+
+        switch (msg.type) {
+            case 'loaded':
+                this.pending.delete(key);
+                this.dimensions = msg.dimensions;
+                request.resolve();
+                break;
+            case 'progress':
+                if (request.onProgress) request.onProgress(msg.done, msg.total, msg.text);
+                break;
+            case 'result':
+                this.pending.delete(key);
+                request.resolve({ embeddings: msg.embeddings, cancelled: msg.cancelled });
+                break;
+            case 'error':
+                this.pending.delete(key);
+                request.reject(new Error(msg.message));
+                break;
+        }
+    }
+
+    // The worker crashed or its script failed to load: nothing pending will ever be answered
+    _onWorkerError(event) {
+        const error = new Error(`Embedding worker failed: ${event.message || 'the worker script could not be loaded'}`);
+        this.worker.terminate();
+        this.worker = null;
+        this.ready = false;
+        for (const request of this.pending.values()) request.reject(error);
+        this.pending.clear();
+    }
+
+    async load(statusCallback) {
+        if (this.ready) return;
+
+        if (!this.worker) {
+            // Inference runs in a dedicated worker so the page stays responsive
+            this.worker = new Worker(new URL('./embeddingWorker.js', import.meta.url), { type: 'module' });
+            this.worker.addEventListener('message', (e) => this._onMessage(e.data));
+            this.worker.addEventListener('error', (e) => this._onWorkerError(e));
+        }
+        this.statusCallback = statusCallback;
+        await new Promise((resolve, reject) => {
+            this.pending.set('load', { resolve, reject });
+            this.worker.postMessage({
+                type: 'load',
+                id: 'load',
+                modelId: this.modelId,
+                device: this.device,
+                dtype: this.dtype,
+                pooling: this.info.pooling,
+                normalize: this.info.normalize,
+                offline: config.offline,
+                localModelPath: config.localModelPath,
+                wasmPaths: config.wasmPaths,
+            });
+        });
+        this.ready = true;
+    }
+
+    async embed(texts, { batchSize = 16, onProgress } = {}) {
+        if (!this.ready) throw new Error("Model not loaded");
+
+        const id = this.nextId++;
+        this.activeId = id;
+        try {
+            return await new Promise((resolve, reject) => {
+                this.pending.set(id, { resolve, reject, onProgress });
+                this.worker.postMessage({ type: 'embed', id, texts, batchSize });
+            });
+        } finally {
+            this.activeId = null;
+        }
+    }
+
+    cancel() {
+        if (this.activeId !== null) {
+            this.worker.postMessage({ type: 'cancel', id: this.activeId });
+        }
+    }
+
+    dispose() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.ready = false;
+        for (const request of this.pending.values()) {
+            request.reject(new Error("Provider disposed"));
+        }
+        this.pending.clear();
+    }
+}
+
+/**
+ * transformers.js in the current thread, for environments without Web Workers
+ * (the Node CLI, where onnxruntime-node does the inference).
+ * The library is imported on first load() so browser bundles never include it here.
+ */
+export class InProcessTransformersProvider {
+    constructor({ modelId = DEFAULT_MODEL_ID, dtype = null, device = 'cpu', localModelPath = null } = {}) {
+        this.name = 'transformers';
+        this.modelId = modelId;
+        this.info = getModelInfo(modelId);
+        this.dtype = dtype || this.info.dtypes[0];
+        this.device = device;
+        this.localModelPath = localModelPath;
+        this.dimensions = null;
+        this.pipe = null;
+        this.cancelled = false;
+    }
+
+    // Same vectors as TransformersProvider, so the same cache key
+    get cacheKey() {
+        return `transformers:${this.modelId}:${this.dtype}:${this.info.pooling}:${this.info.normalize ? 'norm' : 'raw'}`;
+    }
+
+    get _poolOptions() {
+        return { pooling: this.info.pooling, normalize: this.info.normalize };
+    }
+
+    async load(statusCallback) {
+        if (this.pipe) return;
+        const { env, pipeline } = await import('@huggingface/transformers');
+        if (this.localModelPath) {
+            env.allowLocalModels = true;
+            env.allowRemoteModels = false;
+            env.localModelPath = this.localModelPath;
+        }
+        statusCallback(`Loading ${this.modelId} (${this.device}, ${this.dtype})...`);
+        this.pipe = await pipeline('feature-extraction', this.modelId, { device: this.device, dtype: this.dtype });
+        const probe = await this.pipe('dimension probe', this._poolOptions);
+        this.dimensions = probe.dims[probe.dims.length - 1];
+    }
+
+    async embed(texts, { batchSize = 16, onProgress } = {}) {
+        if (!this.pipe) throw new Error("Model not loaded");
+        this.cancelled = false;
+        const size = Math.max(1, batchSize | 0);
+        const embeddings = [];
+        for (let start = 0; start < texts.length && !this.cancelled; start += size) {
+            const batch = texts.slice(start, start + size);
+            const output = await this.pipe(batch, this._poolOptions);
+            embeddings.push(...output.tolist());
+            if (onProgress) onProgress(embeddings.length, texts.length, batch[batch.length - 1]);
+        }
+        return { embeddings, cancelled: this.cancelled };
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    dispose() {
+        this.cancel();
+        if (this.pipe) this.pipe.dispose();
+        this.pipe = null;
+    }
+}
+
+/**
+ * Shared batching / cancellation for providers that talk to an HTTP server.
+ * Subclasses implement `_request(batch, signal)` returning one vector per input.
+ */
+class HttpEmbeddingProvider {
+    constructor({ baseUrl, modelId, apiKey = '' }) {
+        this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+        this.modelId = modelId;
+        this.apiKey = apiKey;
+        this.dimensions = null;
+        this.controller = null;
+    }
+
+    get cacheKey() {
+        return `${this.name}:${this.baseUrl}:${this.modelId}`;
+    }
+
+    async _post(path, body, signal) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+
+        const response = await fetch(this.baseUrl + path, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+            signal,
+        });
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            throw new Error(`${this.name} request failed (${response.status}): ${detail.slice(0, 200)}`);
+        }
+        return response.json();
+    }
+
+    async load(statusCallback) {
+        if (!this.modelId) throw new Error("No model name configured");
+        statusCallback(`Connecting to ${this.baseUrl}...`);
+        // Probe once: validates the endpoint and tells us the vector size
+        const [probe] = await this._request(['dimension probe']);
+        this.dimensions = probe.length;
+    }
+
+    async embed(texts, { batchSize = 16, onProgress } = {}) {
+        const size = Math.max(1, batchSize | 0);
+        const controller = new AbortController();
+        this.controller = controller;
+
+        const embeddings = [];
+        try {
+            for (let start = 0; start < texts.length; start += size) {
+                const batch = texts.slice(start, start + size);
+                const vectors = await this._request(batch, controller.signal);
+                if (vectors.length !== batch.length) {
+                    throw new Error(`${this.name} returned ${vectors.length} vectors for ${batch.length} inputs`);
+                }
+                embeddings.push(...vectors);
+                if (onProgress) onProgress(embeddings.length, texts.length, batch[batch.length - 1]);
+            }
+        } catch (err) {
+            if (!controller.signal.aborted) throw err;
+        } finally {
+            this.controller = null;
+        }
+        return { embeddings, cancelled: controller.signal.aborted };
+    }
+
+    cancel() {
+        if (this.controller) this.controller.abort();
+    }
+
+    dispose() {
+        this.cancel();
+    }
+}
+
+/**
+ * Any server exposing the OpenAI `POST /v1/embeddings` API
+ * (OpenAI, vLLM, LM Studio, text-embeddings-inference, ...).
+ */
+export class OpenAIProvider extends HttpEmbeddingProvider {
+    constructor(options) {
+        super(options);
+        this.name = 'openai';
+    }
+
+    async _request(batch, signal) {
+        const json = await this._post('/v1/embeddings', { model: this.modelId, input: batch }, signal);
+        // `index` is authoritative; servers are not required to keep order
+        return json.data
+            .slice()
+            .sort((a, b) => a.index - b.index)
+            .map(d => d.embedding);
+    }
+}
+
+/**
+ * Ollama's native `POST /api/embed` endpoint.
+ */
+export class OllamaProvider extends HttpEmbeddingProvider {
+    constructor(options) {
+        super({ ...options, baseUrl: options.baseUrl || 'http://localhost:11434' });
+        this.name = 'ollama';
+    }
+
+    async _request(batch, signal) {
+        const json = await this._post('/api/embed', { model: this.modelId, input: batch }, signal);
+        return json.embeddings;
+    }
+}
+
+/**
+ * Builds a provider from the settings chosen in the UI (or CLI flags).
+ * 'transformers' runs in a Web Worker when available, in-process otherwise.
+ * @param {{ type: string, modelId?: string, dtype?: string, device?: string, baseUrl?: string, apiKey?: string, localModelPath?: string }} settings
+ */
+export function createProvider(settings) {
+    switch (settings.type) {
+        case 'transformers':
+            if (typeof Worker === 'undefined') {
+                return new InProcessTransformersProvider({
+                    modelId: settings.modelId || DEFAULT_MODEL_ID,
+                    dtype: settings.dtype || null,
+                    device: settings.device || 'cpu',
+                    localModelPath: settings.localModelPath || null,
+                });
+            }
+            return new TransformersProvider({
+                modelId: settings.modelId || DEFAULT_MODEL_ID,
+                dtype: settings.dtype || null,
+                device: settings.device || null,
+            });
+        case 'openai':
+            return new OpenAIProvider(settings);
+        case 'ollama':
+            return new OllamaProvider(settings);
+        default:
+            throw new Error(`Unknown embedding provider: ${settings.type}`);
+    }
+}
@@ -0,0 +1,137 @@
+import { env, pipeline } from '@huggingface/transformers';
+
+// Configuration (overridden per 'load' message, see configure())
+env.allowLocalModels = false;
+
+// File name suffix transformers.js uses for each quantization
+const DTYPE_SUFFIX = {
+    fp32: '', fp16: '_fp16', int8: '_int8', uint8: '_uint8',
+    q8: '_quantized', q4: '_q4', q4f16: '_q4f16', bnb4: '_bnb4',
+};
+
+/*
+ * Message protocol (main thread <-> worker)
+ *
+ * in:  { type: 'load', id: 'load', modelId, device, dtype, pooling, normalize,
+ *        offline, localModelPath, wasmPaths }
+ *      { type: 'embed', id, texts, batchSize }
+ *      { type: 'cancel', id }
+ * out: { type: 'status', message }
+ *      { type: 'loaded', modelId, dimensions }
+ *      { type: 'progress', id, done, total, text }
+ *      { type: 'result', id, embeddings, cancelled }
+ *      { type: 'error', id, message }
+ */
+
+let pipe = null;
+let loadedKey = null;
+let dimensions = null;
+let poolOptions = { pooling: 'mean', normalize: true };
+const cancelled = new Set();
+
+function configure({ offline = false, localModelPath = '/models/', wasmPaths = null }) {
+    env.allowLocalModels = offline;
+    env.allowRemoteModels = !offline;
+    env.localModelPath = localModelPath;
+    if (wasmPaths) env.backends.onnx.wasm.wasmPaths = wasmPaths;
+}
+
+/**
+ * Offline only: verify every file the pipeline will request is actually served,
+ * so the user sees which one is missing instead of a JSON/protobuf parse error.
+ */
+async function checkOfflineAssets({ modelId, dtype, localModelPath, wasmPaths }) {
+    const modelDir = `${localModelPath.replace(/\/+$/, '')}/${modelId}`;
+    const required = [
+        `${modelDir}/config.json`,
+        `${modelDir}/tokenizer.json`,
+        `${modelDir}/tokenizer_config.json`,
+        `${modelDir}/onnx/model${DTYPE_SUFFIX[dtype] ?? ''}.onnx`,
+    ];
+    if (wasmPaths) required.push(`${wasmPaths}ort-wasm-simd-threaded.jsep.wasm`);
+
+    for (const url of required) {
+        let res = null;
+        try {
+            res = await fetch(url, { method: 'HEAD' });
+        } catch (e) {
+            // treated as missing below
+        }
+        // Dev servers answer unknown paths with index.html, so HTML counts as missing too
+        const isHtml = res && (res.headers.get('content-type') || '').includes('text/html');
+        if (!res || !res.ok || isHtml) {
+            throw new Error(`Offline asset missing: ${url}`);
+        }
+    }
+}
+
+async function load(msg) {
+    const { modelId, device, dtype, pooling = 'mean', normalize = true } = msg;
+    poolOptions = { pooling, normalize };
+    configure(msg);
+
+    const key = `${modelId}|${device}|${dtype}|${msg.offline}`;
+    if (pipe && loadedKey === key) {
+        self.postMessage({ type: 'loaded', modelId, dimensions });
+        return;
+    }
+    if (pipe) await pipe.dispose();
+    pipe = null;
+
+    if (msg.offline) await checkOfflineAssets(msg);
+
+    self.postMessage({ type: 'status', message: `Loading ${modelId} (${device === 'webgpu' ? 'WebGPU' : 'WASM'}, ${dtype})...` });
+    pipe = await pipeline('feature-extraction', modelId, { device, dtype });
+    loadedKey = key;
+
+    // Vector size is whatever the model emits; probe once instead of trusting config fields
+    const probe = await pipe('dimension probe', poolOptions);
+    dimensions = probe.dims[probe.dims.length - 1];
+    self.postMessage({ type: 'loaded', modelId, dimensions });
+}
+
+async function embed({ id, texts, batchSize = 16 }) {
+    if (!pipe) throw new Error("Model not loaded");
+
+    const size = Math.max(1, batchSize | 0);
+    const embeddings = [];
+    for (let start = 0; start < texts.length; start += size) {
+        if (cancelled.has(id)) break;
+
+        const batch = texts.slice(start, start + size);
+        const output = await pipe(batch, poolOptions);
+        embeddings.push(...output.tolist());
+
+        self.postMessage({
+            type: 'progress', id,
+            done: embeddings.length,
+            total: texts.length,
+            text: batch[batch.length - 1]
+        });
+        // Yield so a pending 'cancel' message gets a chance to run
+        await new Promise(r => setTimeout(r, 0));
+    }
+
+    const wasCancelled = cancelled.delete(id);
+    self.postMessage({ type: 'result', id, embeddings, cancelled: wasCancelled });
+}
+
+self.addEventListener('message', async (event) => {
+    const msg = event.data;
+    try {
+        switch (msg.type) {
+            case 'load':
+                await load(msg);
+                break;
+            case 'embed':
+                await embed(msg);
+                break;
+            case 'cancel':
+                cancelled.add(msg.id);
+                break;
+        }
+    } catch (err) {
+        cancelled.delete(msg.id);
+        self.postMessage({ type: 'error', id: msg.id, message: err.message });
+    }
+});
@@ -0,0 +1,257 @@
+import { squaredDistance } from './vectors.js';
+
+/**
+ * HDBSCAN (Campello, Moulavi & Sander, 2013), as in the Python `hdbscan` package:
+ *
+ *  1. core distance = distance to the minSamples-th nearest neighbour (self included)
+ *  2. minimum spanning tree over mutual reachability distances
+ *     max(core(a), core(b), d(a, b)) using Prim's algorithm on the dense graph
+ *  3. single-linkage hierarchy from the MST, condensed with minClusterSize
+ *  4. flat clusters chosen by excess of mass (cluster stability)
+ *
+ * Points that belong to no selected cluster are labelled -1 (noise).
+ * Dense O(N^2 · D) distance work, without an N x N matrix in memory.
+ * Optional point weights make a point count as that many identical points
+ * (for core distances, cluster sizes and stabilities).
+ */
+
+// Duplicate points merge at distance 0; lambdas are capped so stabilities stay finite
+const MAX_LAMBDA = 1e10;
+
+function euclidean(a, b) {
+    return Math.sqrt(squaredDistance(a, b));
+}
+
+function coreDistances(points, minSamples, weights) {
+    const N = points.length;
+    const core = new Float64Array(N);
+    const row = new Float64Array(N);
+    if (!weights) {
+        const k = Math.min(minSamples, N) - 1; // index into sorted distances, self at 0
+        for (let i = 0; i < N; i++) {
+            for (let j = 0; j < N; j++) row[j] = i === j ? 0 : euclidean(points[i], points[j]);
+            core[i] = row.slice().sort()[k];
+        }
+        return core;
+    }
+    // Nearest neighbours first until their weights reach minSamples
+    const order = Array.from({ length: N }, (_, j) => j);
+    for (let i = 0; i < N; i++) {
+        for (let j = 0; j < N; j++) row[j] = i === j ? 0 : euclidean(points[i], points[j]);
+        order.sort((a, b) => row[a] - row[b]);
+        let seen = 0;
+        for (const j of order) {
+            seen += weights[j];
+            core[i] = row[j];
+            if (seen >= minSamples) break;
+        }
+    }
+    return core;
+}
+
+// Prim's algorithm; returns N-1 edges [a, b, weight]
+function mutualReachabilityMST(points, core) {
+    const N = points.length;
+    const inTree = new Uint8Array(N);
+    const best = new Float64Array(N).fill(Infinity);
+    const from = new Int32Array(N).fill(-1);
+    const edges = [];
+
+    let current = 0;
+    inTree[0] = 1;
+    for (let added = 1; added < N; added++) {
+        let next = -1;
+        for (let j = 0; j < N; j++) {
+            if (inTree[j]) continue;
+            const d = Math.max(core[current], core[j], euclidean(points[current], points[j]));
+            if (d < best[j]) {
+                best[j] = d;
+                from[j] = current;
+            }
+            if (next === -1 || best[j] < best[next]) next = j;
+        }
+        edges.push([from[next], next, best[next]]);
+        inTree[next] = 1;
+        current = next;
+    }
+    return edges;
+}
+
+// Single-linkage merge tree: node N + i merges children[i] at distances[i]
+function singleLinkage(edges, N, weights) {
+    edges.sort((a, b) => a[2] - b[2]);
+    const parent = new Int32Array(2 * N - 1).map((_, i) => i);
+    const find = (x) => {
+        while (parent[x] !== x) {
+            parent[x] = parent[parent[x]];
+            x = parent[x];
+        }
+        return x;
+    };
+
+    const children = [];
+    const distances = [];
+    const sizes = new Float64Array(2 * N - 1).fill(1);
+    if (weights) sizes.set(weights);
+    edges.forEach(([a, b, weight], i) => {
+        const ra = find(a);
+        const rb = find(b);
+        const node = N + i;
+        parent[ra] = node;
+        parent[rb] = node;
+        children.push([ra, rb]);
+        distances.push(weight);
+        sizes[node] = sizes[ra] + sizes[rb];
+    });
+    return { children, distances, sizes };
+}
+
+function leavesOf(node, N, children) {
+    const leaves = [];
+    const stack = [node];
+    while (stack.length) {
+        const n = stack.pop();
+        if (n < N) leaves.push(n);
+        else stack.push(...children[n - N]);
+    }
+    return leaves;
+}
+
+/**
+ * Walks the merge tree from the root. A split where both sides have at least
+ * minClusterSize points creates two new clusters; otherwise the small side's
+ * points "fall out" of the current cluster at that lambda (= 1 / distance).
+ * Cluster ids start at N (the root).
+ * @returns {{ parent: number, child: number, lambda: number, size: number }[]}
+ */
+function condenseTree({ children, distances, sizes }, N, minClusterSize) {
+    const root = 2 * N - 2;
+    const label = new Map([[root, N]]);
+    let nextLabel = N + 1;
+    const rows = [];
+
+    const stack = [root];
+    while (stack.length) {
+        const node = stack.pop();
+        if (node < N) {
+            // A weighted point heavy enough to stay a cluster: its copies only part at distance 0
+            if (label.has(node)) rows.push({ parent: label.get(node), child: node, lambda: MAX_LAMBDA, size: sizes[node] });
+            continue;
+        }
+        const [left, right] = children[node - N];
+        const lambda = Math.min(1 / distances[node - N], MAX_LAMBDA);
+        const cluster = label.get(node);
+        const leftBig = sizes[left] >= minClusterSize;
+        const rightBig = sizes[right] >= minClusterSize;
+
+        if (leftBig && rightBig) {
+            for (const side of [left, right]) {
+                label.set(side, nextLabel);
+                rows.push({ parent: cluster, child: nextLabel, lambda, size: sizes[side] });
+                nextLabel++;
+                stack.push(side);
+            }
+            continue;
+        }
+
+        for (const side of [left, right]) {
+            const big = side === left ? leftBig : rightBig;
+            if (big) {
+                label.set(side, cluster); // same cluster, just shrinking
+                stack.push(side);
+            } else {
+                for (const leaf of leavesOf(side, N, children)) {
+                    rows.push({ parent: cluster, child: leaf, lambda, size: sizes[leaf] });
+                }
+            }
+        }
+    }
+    return rows;
+}
+
+// Excess-of-mass selection; the root is never selected (no single all-points cluster)
+function selectClusters(rows, N) {
+    const birth = new Map([[N, 0]]);
+    const stability = new Map();
+    const childClusters = new Map();
+    for (const row of rows) {
+        if (row.child >= N) {
+            birth.set(row.child, row.lambda);
+            if (!childClusters.has(row.parent)) childClusters.set(row.parent, []);
+            childClusters.get(row.parent).push(row.child);
+        }
+    }
+    for (const row of rows) {
+        const gain = (row.lambda - birth.get(row.parent)) * row.size;
+        stability.set(row.parent, (stability.get(row.parent) || 0) + gain);
+    }
+
+    const clusters = Array.from(birth.keys()).sort((a, b) => b - a); // children before parents
+    const selected = new Set();
+    const subtreeScore = new Map();
+    for (const c of clusters) {
+        if (c === N) continue;
+        const own = stability.get(c) || 0;
+        const kids = childClusters.get(c) || [];
+        const kidsScore = kids.reduce((sum, k) => sum + subtreeScore.get(k), 0);
+        if (kids.length === 0 || own >= kidsScore) {
+            subtreeScore.set(c, own);
+            selected.add(c);
+            // Deselect everything below c
+            const stack = [...kids];
+            while (stack.length) {
+                const d = stack.pop();
+                selected.delete(d);
+                stack.push(...(childClusters.get(d) || []));
+            }
+        } else {
+            subtreeScore.set(c, kidsScore);
+        }
+    }
+    return { selected, stability };
+}
+
+/**
+ * @param {number[][]} points
+ * @param {object} [options]
+ * @param {number} [options.minClusterSize=5] - smallest group reported as a cluster
+ * @param {number} [options.minSamples] - density smoothing; defaults to minClusterSize
+ * @param {number[]|null} [options.weights] - per point, how many identical points it stands for (default 1 each)
+ * @returns {{ labels: number[], stabilities: number[] }}
+ *   labels[i] is a cluster index (0 = largest) or -1 for noise
+ */
+export function hdbscan(points, { minClusterSize = 5, minSamples = null, weights = null } = {}) {
+    const N = points.length;
+    const labels = new Array(N).fill(-1);
+    const total = weights ? weights.reduce((a, b) => a + b, 0) : N;
+    if (N < 2 || total < minClusterSize) return { labels, stabilities: [] };
+
+    const core = coreDistances(points, Math.max(1, minSamples || minClusterSize), weights);
+    const tree = singleLinkage(mutualReachabilityMST(points, core), N, weights);
+    const rows = condenseTree(tree, N, Math.max(2, minClusterSize));
+    const { selected, stability } = selectClusters(rows, N);
+
+    // Leaf points of every selected cluster's condensed subtree
+    const byParent = new Map();
+    for (const row of rows) {
+        if (!byParent.has(row.parent)) byParent.set(row.parent, []);
+        byParent.get(row.parent).push(row.child);
+    }
+    const members = Array.from(selected, cluster => {
+        const points = [];
+        const stack = [cluster];
+        while (stack.length) {
+            const c = stack.pop();
+            for (const child of byParent.get(c) || []) {
+                if (child < N) points.push(child);
+                else stack.push(child);
+            }
+        }
+        return { cluster, points };
+    });
+
+    const size = (m) => (weights ? m.points.reduce((sum, p) => sum + weights[p], 0) : m.points.length);
+    members.sort((a, b) => size(b) - size(a));
+    members.forEach(({ points }, index) => points.forEach(p => { labels[p] = index; }));
+    return { labels, stabilities: members.map(m => stability.get(m.cluster) || 0) };
+}
@@ -1,12 +1,21 @@
 import './style.css';
-import { env, pipeline } from '@xenova/transformers';
 import Plotly from 'plotly.js-dist';
-import PCA from 'pca-js';
-import { TopicModeler } from './topicModeler.js';
-
-// Configuration
-env.allowLocalModels = false;
-env.backends.onnx.wasm.wasmPaths = 'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.14.0/dist/';
+import { TopicModeler, OUTLIER_TOPIC } from './topicModeler.js';
+import { ClusterClient } from './clusterClient.js';
+import { STOPWORD_LANGUAGES } from './stopwords.js';
+import { createProvider } from './embeddingProviders.js';
+import { MODEL_REGISTRY, getModelInfo } from './modelRegistry.js';
+import { EmbeddingManager } from './embeddingManager.js';
+import { DimensionalityReducer } from './dimensionalityReducer.js';
+import { clusterTopics, projectEmbeddings, runSettings, runFingerprint } from './pipeline.js';
+import { TSNE_MAX_POINTS } from './tsne.js';
+import { BackendBenchmark, BENCHMARK_CORPUS, availableDevices } from './benchmark.js';
+import { embedDocuments } from './chunking.js';
+import { findDuplicateGroups, collapseDuplicates } from './duplicates.js';
+import { cosineSimilarity } from './vectors.js';
+import { parseFile, guessTextColumn } from './dataImport.js';
+import { itemsCSV, vectorsCSV, topicsCSV, runJSON, projectorTSV } from './dataExport.js';
+import { serializeSession, parseSession } from './session.js';
 
 // --- Visualization Config & Helpers (from User Snippet) ---
 const colors = {
@@ -55,94 +64,89 @@ const topicColors = [
     colors['navy'].dark,
 ];
 
+// Noise points (topic -1) from density-based clustering
+const outlierColor = colors['cool-gray-1.5'].light;
+
+function topicColor(id) {
+    return id === OUTLIER_TOPIC ? outlierColor : topicColors[id % topicColors.length];
+}
+
 const bp = 580; 
 function getMarkerSize(width) {
     return (width > bp) ? 8 : 6;
 }
 
-function addBr(text) {
-    let result = "";
-    text = text || "";
-    text.trim().split("").forEach(function (item, index) {
-        result = result + item;
-        if (index !== 0 && index % 30 === 0) {
-            result = result + "<br>";
-        }
-    });
-    return result;
-}
-
-// --- Logic Classes ---
+// Above this many points the map takes the large-data path: no per-point hover
+// strings (details are looked up on hover and shown in a card) and thinner markers
+const LARGE_MAP = 5000;
 
-class EmbeddingManager {
-    constructor() {
-        this.pipe = null;
-        this.modelId = 'Xenova/all-MiniLM-L6-v2';
-        //this.modelId = 'onnx-community/Qwen3-Embedding-0.6B-ONNX';
-    }
+// Shortens text to maxLength characters, with an ellipsis
+function truncate(text, maxLength) {
+    text = (text || '').trim();
+    return text.length > maxLength ? text.slice(0, maxLength - 1) + '…' : text;
+}
 
-    async loadModel(statusCallback) {
-        if (!this.pipe) {
-            statusCallback('Loading model (WebGPU/WASM)...');
-            this.pipe = await pipeline('feature-extraction', this.modelId, {
-                device: navigator.gpu ? 'webgpu' : 'wasm',
-            });
-            statusCallback('Model ready.');
+// Hover label text: wrapped at spaces into lines of about `width` characters
+function wrapHoverText(text, width = 40, maxLength = 400) {
+    const lines = [];
+    let line = '';
+    for (const word of truncate(text, maxLength).split(/\s+/)) {
+        if (line && line.length + word.length + 1 > width) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
         }
     }
+    if (line) lines.push(line);
+    return lines.join('<br>');
+}
 
-    async generateEmbeddings(texts, onProgress) {
-        if (!this.pipe) throw new Error("Model not loaded");
-        
-        const embeddings = [];
-        // Local generation
-        for (let i = 0; i < texts.length; i++) {
-            const text = texts[i];
-            const output = await this.pipe(text, { pooling: 'mean', normalize: true });
-            const embedding = Array.from(output.data);
-            embeddings.push(embedding);
-            
-            if (onProgress) onProgress(i + 1, texts.length, text);
-            await new Promise(r => setTimeout(r, 0)); 
-        }
-        return embeddings;
-    }
+// x, y (and z for 3D) arrays for a Plotly trace
+function traceAxes(points, dims) {
+    const xyz = { x: points.map(p => p[0]), y: points.map(p => p[1]) };
+    if (dims === 3) xyz.z = points.map(p => p[2]);
+    return xyz;
 }
 
-class DimensionalityReducer {
-    static reduce(embeddings, targetDim = 3) {
-        if (embeddings.length < targetDim + 1) {
-             return embeddings.map(e => {
-                const arr = e.slice(0, targetDim);
-                while(arr.length < targetDim) arr.push(0); 
-                return arr;
-            });
-        }
+// Original index of a point in a Plotly event (traces carry it as customdata)
+function pointIndex(point) {
+    return point.customdata ?? (point.data.customdata ? point.data.customdata[point.pointNumber] : undefined);
+}
 
-        const vectors = PCA.getEigenVectors(embeddings);
-        const topVectors = vectors.slice(0, targetDim).map(v => v.eigenvector);
-        
-        const N = embeddings.length;
-        const K = targetDim;
-        const projected = [];
-        
-        const dot = (a, b) => a.reduce((sum, val, i) => sum + val * b[i], 0);
+// Saves a string as a file through a temporary object URL
+function downloadFile(name, content, type = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
 
-        for (let i = 0; i < N; i++) {
-            const row = [];
-            for (let j = 0; j < K; j++) {
-                row.push(dot(embeddings[i], topVectors[j]));
-            }
-            projected.push(row);
-        }
-        return projected;
-    }
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 }
 
 class PlotlyVisualizer {
     constructor(divId) {
         this.divId = divId;
         this.container = document.getElementById(divId);
+        // Called with the original indices of lasso / box selected points ([] when cleared); 2D only
+        this.onSelect = null;
+        this.selectionBound = false;
+        this.drawCount = 0;
+        // Large maps show hover details here instead of in Plotly hover labels
+        this.hoverCard = document.createElement('div');
+        this.hoverCard.className = 'hidden absolute top-2 right-2 z-10 max-w-sm p-2 bg-white border border-gray-200 rounded-md shadow text-xs text-gray-600 pointer-events-none';
+        this.container.parentElement.appendChild(this.hoverCard);
+        this.hoverSource = null;
+        this.traceTopicIds = [];
+        this.contourTopicIds = [];
         
         // Handle resize
         window.addEventListener('resize', () => {
@@ -150,101 +154,179 @@ class PlotlyVisualizer {
         });
     }
 
-    updatePoints(points3d, labels, topicAssignments = null, topicsFullData = null) {
+    updatePoints(points3d, labels, topicAssignments = null, topicsFullData = null, options = {}) {
         // points3d: [[x,y,z], ...]
         // labels: ["text", ...]
         // topicAssignments: { label: "topic_label", id: clusterId } per point array? No, simpler: a map or just array of topic ID per point.
         // Let's assume topicAssignments is an array of size N where assignment[i] = { id: topicId, label: topicLabel }
+        // options.axisTitles: ["PC1 (42.0%)", ...] shown on the scene axes
+        // 2D points are drawn as a flat WebGL scatter, where lasso / box selection works
+        const axisTitles = options.axisTitles || ['', '', ''];
+        const dims = points3d.length && points3d[0].length === 2 ? 2 : 3;
+        const type = dims === 2 ? 'scattergl' : 'scatter3d';
+        const large = points3d.length >= LARGE_MAP;
+        this.dims = dims;
+        this.traceType = type;
+        this.large = large;
+        // options.selected: Set of original indices kept selected across redraws (2D)
+        const selected = dims === 2 && options.selected && options.selected.size ? options.selected : null;
+        const selectedPoints = (indices) => (selected ? indices.flatMap((index, j) => (selected.has(index) ? [j] : [])) : undefined);
         
         const width = this.container.offsetWidth || window.innerWidth * 0.9;
-        const markerSize = getMarkerSize(width);
+        const markerSize = large ? Math.max(2, getMarkerSize(width) - 4) : getMarkerSize(width);
+        const markerLine = large ? { width: 0 } : { color: 'rgba(255, 255, 255, 0.2)', width: 0.5 };
         
         // Prepare data for Plotly
         // If we have topics, we might want separate traces for legend, but user snippet used one logic.
         // Let's try separate traces if topics exist, for better legend.
         
         const traces = [];
+        const hiddenTopics = options.hiddenTopics || new Set();
+        this.traceTopicIds = [];
+        this.contourTopicIds = [];
+
+        // options.metadata: per-point { field: value } shown under the text on hover
+        const metadata = options.metadata || null;
+        this.hoverSource = { labels, metadata };
+        const hoverText = (i) => {
+            let text = wrapHoverText(labels[i]);
+            if (metadata && metadata[i]) {
+                for (const [key, value] of Object.entries(metadata[i])) {
+                    if (value !== '' && value !== null && value !== undefined) text += `<br><b>${key}</b>: ${value}`;
+                }
+            }
+            return text;
+        };
+        // Building a hover string per point is the slow part at scale; large maps look the point up on hover instead
+        const hover = (indices, info) => (large ? { hoverinfo: 'none' } : { text: indices.map(hoverText), hoverinfo: info });
+        // options.newFrom: points from this index on were added incrementally (drawn as diamonds)
+        const newFrom = options.newFrom ?? null;
+        // options.colorBy: 'topic' (default) or a metadata field
+        const colorBy = metadata && options.colorBy && options.colorBy !== 'topic' ? options.colorBy : null;
         
-        if (topicAssignments) {
+        if (colorBy) {
+            traces.push(...this._metadataTraces(points3d, metadata.map(m => m[colorBy]), colorBy, hover, markerSize, markerLine)
+                .map(trace => ({ ...trace, selectedpoints: selectedPoints(trace.customdata) })));
+        } else if (topicAssignments) {
             // Group points by topic
             const groups = new Map();
             points3d.forEach((pt, i) => {
                 const topic = topicAssignments[i]; // { id, label }
                 const groupKey = topic ? topic.id : 'unknown';
+                const isOutlier = topic && topic.id === OUTLIER_TOPIC;
                 
                 if (!groups.has(groupKey)) {
                     groups.set(groupKey, {
-                        x: [], y: [], z: [], text: [], 
-                        name: topic ? topic.label : 'Unknown',
-                        color: topic ? topicColors[topic.id % topicColors.length] : '#999'
+                        indices: [],
+                        name: isOutlier ? 'Outliers' : (topic ? topic.label : 'Unknown'),
+                        color: topic ? topicColor(topic.id) : outlierColor,
+                        opacity: isOutlier ? 0.4 : 0.8
                     });
                 }
                 const g = groups.get(groupKey);
-                g.x.push(pt[0]);
-                g.y.push(pt[1]);
-                g.z.push(pt[2]);
-                g.text.push(addBr(labels[i])); // Just text, or include topic? Hover info "text" usually replaces name.
+                g.indices.push(i);
             });
             
             // Create traces
             for (const [key, g] of groups.entries()) {
+                this.traceTopicIds.push(key);
                 traces.push({
-                    x: g.x, y: g.y, z: g.z,
+                    ...traceAxes(g.indices.map(i => points3d[i]), dims),
+                    customdata: g.indices, // original index, for selections
+                    selectedpoints: selectedPoints(g.indices),
                     mode: 'markers',
                     name: g.name, // Legend name
+                    visible: !hiddenTopics.has(key),
                     marker: {
                         color: g.color,
+                        symbol: newFrom === null ? 'circle' : g.indices.map(i => (i >= newFrom ? 'diamond' : 'circle')),
                         size: markerSize,
-                        opacity: 0.8,
-                        line: { color: 'rgba(255, 255, 255, 0.2)', width: 0.5 }
+                        opacity: g.opacity,
+                        line: markerLine
                     },
-                    text: g.text,
-                    hoverinfo: "text+name", // Show text and trace name (topic)
+                    ...hover(g.indices, "text+name"), // Show text and trace name (topic)
                     hoverlabel: {
                         bgcolor: "#fff", bordercolor: "#fff",
                         font: { color: "#050505", family: 'Inter, sans-serif' }
                     },
-                    type: 'scatter3d'
+                    type
                 });
             }
+
+            // options.contours: per-topic density outlines (2D), drawn after all point traces
+            if (dims === 2 && options.contours) {
+                for (const [key, g] of groups.entries()) {
+                    if (key === OUTLIER_TOPIC || g.indices.length < 10) continue;
+                    this.contourTopicIds.push(key);
+                    traces.push({
+                        ...traceAxes(g.indices.map(i => points3d[i]), dims),
+                        type: 'histogram2dcontour',
+                        name: g.name,
+                        visible: !hiddenTopics.has(key),
+                        showscale: false,
+                        showlegend: false,
+                        hoverinfo: 'skip',
+                        ncontours: 4,
+                        contours: { coloring: 'lines' },
+                        line: { width: 1 },
+                        colorscale: [[0, g.color], [1, g.color]],
+                        opacity: 0.6,
+                    });
+                }
+            }
         } else {
              // Fallback to single trace cyclic colors
             const pointColors = points3d.map((_, i) => topicColors[i % topicColors.length]);
             traces.push({
-                x: points3d.map(p => p[0]),
-                y: points3d.map(p => p[1]),
-                z: points3d.map(p => p[2]),
+                ...traceAxes(points3d, dims),
+                customdata: points3d.map((_, i) => i),
                 mode: 'markers',
                 marker: {
                     color: pointColors,
                     size: markerSize,
                     opacity: 0.8,
-                    line: { color: 'rgba(255, 255, 255, 0.2)', width: 0.5 }
+                    line: markerLine
                 },
-                text: labels.map(l => addBr(l)),
-                hoverinfo: "text",
+                ...hover(labels.map((_, i) => i), "text"),
                 hoverlabel: { bgcolor: "#fff", bordercolor: "#fff", font: { color: "#050505", family: 'Inter, sans-serif' } },
-                type: 'scatter3d'
+                type
             });
         }
 
         const layout = {
             autosize: true,
+            // Same revision = Plotly.react keeps the user's camera
+            uirevision: options.uirevision ?? 0,
             height: 480,
             margin: { l: 0, r: 0, b: 0, t: 0 },
             paper_bgcolor: "#fff",
-            showlegend: true, // Enable legend for topics
+            showlegend: Boolean(colorBy), // Topics are listed in #legend-container instead
             legend: { x: 0, y: 1 },
-            scene: {
-                xaxis: { tickfont: { size: 10, color: 'rgb(107, 107, 107)' }, title: '' },
-                yaxis: { tickfont: { size: 10, color: 'rgb(107, 107, 107)' }, title: '' },
-                zaxis: { tickfont: { size: 10, color: 'rgb(107, 107, 107)' }, title: '' },
+        };
+        const axisStyle = (title) => ({ tickfont: { size: 10, color: 'rgb(107, 107, 107)' }, title: { text: title, font: { size: 11 } } });
+        if (dims === 2) {
+            Object.assign(layout, {
+                margin: { l: 50, r: 10, b: 40, t: 10 },
+                xaxis: { ...axisStyle(axisTitles[0]), zeroline: false },
+                yaxis: { ...axisStyle(axisTitles[1]), zeroline: false },
+                hovermode: 'closest',
+                // A new revision every draw: the selection always comes from options.selected,
+                // never from what Plotly remembers of the last lasso
+                selectionrevision: ++this.drawCount,
+                // options.dragmode: 'lasso' | 'select' (box) | 'zoom' | 'pan'
+                dragmode: options.dragmode || 'lasso',
+            });
+        } else {
+            layout.scene = {
+                xaxis: axisStyle(axisTitles[0]),
+                yaxis: axisStyle(axisTitles[1]),
+                zaxis: axisStyle(axisTitles[2]),
                 aspectmode: 'cube',
                 camera: {
                     eye: { x: 1.5, y: 1.5, z: 1.5 }
                 }
-            }
-        };
+            };
+        }
 
         const config = {
             modeBarButtonsToRemove: ['pan3d', 'resetCameraLastSave3d', 'toImage', 'tableRotation'],
@@ -253,10 +335,184 @@ class PlotlyVisualizer {
             displayModeBar: false
         };
 
-        Plotly.newPlot(this.divId, traces, layout, config);
+        Plotly.react(this.divId, traces, layout, config);
+        this._bindEvents();
+        this.overlayStart = undefined;
+        this.baseOpacities = traces.slice(0, this.traceTopicIds.length).map(t => t.marker.opacity);
         
         //this.startRotation();
     }
+
+    // Numeric fields with many distinct values get a color scale, anything else one trace per value
+    _metadataTraces(points3d, values, field, hover, markerSize, line) {
+        const present = values.filter(v => v !== '' && v !== null && v !== undefined);
+        const distinct = new Set(present);
+        const numeric = present.length > 0 && present.every(v => Number.isFinite(Number(v)));
+        const hoverlabel = { bgcolor: "#fff", bordercolor: "#fff", font: { color: "#050505", family: 'Inter, sans-serif' } };
+
+        if (numeric && distinct.size > topicColors.length) {
+            return [{
+                ...traceAxes(points3d, this.dims),
+                customdata: points3d.map((_, i) => i),
+                mode: 'markers',
+                name: field,
+                showlegend: false,
+                marker: {
+                    color: values.map(v => (v === '' || v === null || v === undefined ? null : Number(v))),
+                    colorscale: 'Viridis',
+                    colorbar: { title: { text: field }, thickness: 12 },
+                    size: markerSize,
+                    opacity: 0.8,
+                    line,
+                },
+                ...hover(points3d.map((_, i) => i), "text"),
+                hoverlabel,
+                type: this.traceType,
+            }];
+        }
+
+        const groups = new Map();
+        values.forEach((v, i) => {
+            const key = v === '' || v === null || v === undefined ? '(empty)' : String(v);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(i);
+        });
+        // Largest groups get the first colors
+        return Array.from(groups.entries())
+            .sort((a, b) => b[1].length - a[1].length)
+            .map(([key, indices], g) => ({
+                ...traceAxes(indices.map(i => points3d[i]), this.dims),
+                customdata: indices,
+                mode: 'markers',
+                name: key,
+                marker: {
+                    color: key === '(empty)' ? outlierColor : topicColors[g % topicColors.length],
+                    size: markerSize,
+                    opacity: 0.8,
+                    line,
+                },
+                ...hover(indices, "text+name"),
+                hoverlabel,
+                type: this.traceType,
+            }));
+    }
+
+    // Plotly attaches .on() to the div on the first plot; listen once
+    _bindEvents() {
+        if (this.selectionBound) return;
+        this.selectionBound = true;
+        const div = document.getElementById(this.divId);
+        div.on('plotly_selected', (event) => {
+            if (!this.onSelect) return;
+            // Overlay traces (search) carry no customdata
+            const indices = event ? event.points.map(pointIndex).filter(i => typeof i === 'number') : [];
+            this.onSelect([...new Set(indices)].sort((a, b) => a - b));
+        });
+        div.on('plotly_deselect', () => {
+            if (this.onSelect) this.onSelect([]);
+        });
+        div.on('plotly_hover', (event) => {
+            if (!this.large) return;
+            const point = event.points.find(p => typeof pointIndex(p) === 'number');
+            if (point) this._showHoverCard(pointIndex(point), point.data.name);
+        });
+        div.on('plotly_unhover', () => this.hoverCard.classList.add('hidden'));
+    }
+
+    // Text, trace (topic) name and metadata of one point, for large maps
+    _showHoverCard(index, traceName) {
+        const { labels, metadata } = this.hoverSource;
+        const rows = [];
+        if (traceName) {
+            const name = document.createElement('div');
+            name.className = 'font-medium text-gray-800';
+            name.textContent = traceName;
+            rows.push(name);
+        }
+        const text = document.createElement('div');
+        text.textContent = truncate(labels[index], 400);
+        rows.push(text);
+        for (const [key, value] of Object.entries((metadata && metadata[index]) || {})) {
+            if (value === '' || value === null || value === undefined) continue;
+            const field = document.createElement('div');
+            field.textContent = `${key}: ${truncate(String(value), 100)}`;
+            rows.push(field);
+        }
+        this.hoverCard.replaceChildren(...rows);
+        this.hoverCard.classList.remove('hidden');
+    }
+
+    /** @param {'lasso'|'select'|'zoom'|'pan'} mode - 2D drag behaviour */
+    setDragMode(mode) {
+        if (this.dims === 2) Plotly.relayout(this.divId, { dragmode: mode });
+    }
+
+    /**
+     * Dims every topic trace except one; null restores the original opacities.
+     * @param {number|null} topicId
+     */
+    highlightTopic(topicId) {
+        if (!this.traceTopicIds || this.traceTopicIds.length === 0) return;
+        const opacities = this.traceTopicIds.map((id, i) => (topicId === null || id === topicId ? this.baseOpacities[i] : 0.08));
+        Plotly.restyle(this.divId, { 'marker.opacity': opacities }, opacities.map((_, i) => i));
+    }
+
+    /**
+     * Draws a search query marker and rings around its matches on top of the
+     * topic traces, replacing any previous overlay.
+     * @param {number[]} queryPoint - projected query
+     * @param {string} queryText
+     * @param {{ point: number[], text: string, score: number }[]} matches
+     */
+    showSearch(queryPoint, queryText, matches) {
+        this.clearSearch();
+        const div = document.getElementById(this.divId);
+        this.overlayStart = div.data.length;
+        const hoverlabel = { bgcolor: "#fff", bordercolor: "#fff", font: { color: "#050505", family: 'Inter, sans-serif' } };
+        Plotly.addTraces(this.divId, [
+            {
+                ...traceAxes(matches.map(m => m.point), this.dims),
+                mode: 'markers',
+                name: 'Matches',
+                marker: { symbol: 'circle-open', size: 14, color: colors['light-black'].light, line: { width: 2 } },
+                text: matches.map(m => `${m.score.toFixed(3)} · ${wrapHoverText(m.text)}`),
+                hoverinfo: 'text',
+                hoverlabel,
+                type: this.traceType,
+            },
+            {
+                ...traceAxes([queryPoint], this.dims),
+                mode: 'markers',
+                name: 'Query',
+                marker: { symbol: 'diamond', size: 12, color: colors['red'].light, line: { color: '#fff', width: 1 } },
+                text: [wrapHoverText(queryText)],
+                hoverinfo: 'text+name',
+                hoverlabel,
+                type: this.traceType,
+            },
+        ]);
+    }
+
+    clearSearch() {
+        const div = document.getElementById(this.divId);
+        if (this.overlayStart === undefined || !div.data) return;
+        const indices = [];
+        for (let i = this.overlayStart; i < div.data.length; i++) indices.push(i);
+        if (indices.length) Plotly.deleteTraces(this.divId, indices);
+        this.overlayStart = undefined;
+    }
+
+    /**
+     * Shows or hides a topic's trace without redrawing the plot.
+     * @param {number} topicId
+     * @param {boolean} visible
+     */
+    setTopicVisible(topicId, visible) {
+        const indices = [this.traceTopicIds.indexOf(topicId)];
+        const contour = this.contourTopicIds.indexOf(topicId);
+        if (contour !== -1) indices.push(this.traceTopicIds.length + contour);
+        if (indices[0] !== -1) Plotly.restyle(this.divId, { visible }, indices);
+    }
     
     startRotation() {
         if(this.animationFrame) cancelAnimationFrame(this.animationFrame);
@@ -278,11 +534,931 @@ class PlotlyVisualizer {
     }
 }
 
+/**
+ * Topic list rendered into #legend-container: color, label, size, keywords
+ * and representative documents per topic, with select / rename / hide actions.
+ */
+class TopicSidebar {
+    /**
+     * @param {string} containerId
+     * @param {object} handlers
+     * @param {(topicId: number) => void} handlers.onSelect - header click
+     * @param {(topicId: number, name: string) => void} handlers.onRename
+     * @param {(topicId: number) => void} handlers.onToggle - hide / show
+     */
+    constructor(containerId, { onSelect, onRename, onToggle }) {
+        this.container = document.getElementById(containerId);
+        this.onSelect = onSelect;
+        this.onRename = onRename;
+        this.onToggle = onToggle;
+    }
+
+    /**
+     * @param {object[]} topics
+     * @param {object} [view]
+     * @param {number|null} [view.selected] - highlighted topic id
+     * @param {Set<number>} [view.hidden] - hidden topic ids
+     */
+    render(topics, { selected = null, hidden = new Set() } = {}) {
+        this.container.innerHTML = '';
+        const ordered = [...topics].sort((a, b) => b.indices.length - a.indices.length);
+        for (const topic of ordered) {
+            this.container.appendChild(this._renderTopic(topic, topic.id === selected, hidden.has(topic.id)));
+        }
+    }
+
+    _renderTopic(topic, isSelected, isHidden) {
+        const card = document.createElement('div');
+        card.className = 'p-2 border rounded-md ' + (isSelected ? 'border-gray-500' : 'border-gray-200') + (isHidden ? ' opacity-50' : '');
+
+        const header = document.createElement('div');
+        header.className = 'flex items-center gap-2';
+
+        const title = document.createElement('button');
+        title.className = 'legend-item flex-1 min-w-0 text-left';
+        title.title = 'Highlight this topic in the plot';
+        const swatch = document.createElement('span');
+        swatch.className = 'legend-swatch shrink-0';
+        swatch.style.backgroundColor = topicColor(topic.id);
+        const name = document.createElement('span');
+        name.className = 'truncate text-gray-800';
+        name.textContent = topic.label;
+        const size = document.createElement('span');
+        size.className = 'ml-1 shrink-0';
+        size.textContent = `(${topic.indices.length})`;
+        title.append(swatch, name, size);
+        title.addEventListener('click', () => this.onSelect(topic.id));
+
+        const rename = document.createElement('button');
+        rename.className = 'text-xs text-gray-500 hover:underline';
+        rename.textContent = 'rename';
+        rename.addEventListener('click', () => this._startRename(header, topic));
+
+        const toggle = document.createElement('button');
+        toggle.className = 'text-xs text-gray-500 hover:underline';
+        toggle.textContent = isHidden ? 'show' : 'hide';
+        toggle.addEventListener('click', () => this.onToggle(topic.id));
+
+        header.append(title, rename, toggle);
+        card.appendChild(header);
+
+        if (topic.keywords.length) {
+            const keywords = document.createElement('div');
+            keywords.className = 'mt-1 text-xs text-gray-600';
+            keywords.textContent = topic.keywords.join(', ');
+            card.appendChild(keywords);
+        }
+
+        const samples = document.createElement('ul');
+        samples.className = 'mt-1 text-xs text-gray-500 list-disc pl-4';
+        for (const doc of topic.representativeDocs || []) {
+            const item = document.createElement('li');
+            item.className = 'truncate';
+            item.textContent = doc.text;
+            item.title = `${doc.text}\n(similarity to centroid ${doc.score.toFixed(3)})`;
+            samples.appendChild(item);
+        }
+        card.appendChild(samples);
+        return card;
+    }
+
+    // Swaps the label for an input; Enter or blur commits, Escape cancels
+    _startRename(header, topic) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = topic.label;
+        input.className = 'flex-1 p-1 border border-gray-300 rounded-md text-sm';
+        header.replaceChildren(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+            const value = input.value.trim();
+            // An empty name restores the generated label
+            this.onRename(topic.id, commit ? value : null);
+        };
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+}
+
+// Topics in a status message: the outlier topic is not one
+const topicCount = (topics) => topics.filter(t => t.id !== OUTLIER_TOPIC).length;
+
+// Controls whose values are saved with a session
+const SESSION_CONTROLS = [
+    'batch-size', 'chunk-strategy', 'chunk-size', 'chunk-overlap', 'chunk-output', 'chunk-aggregate',
+    'seed', 'view-dims', 'reduce-method', 'umap-neighbors', 'umap-min-dist', 'tsne-perplexity', 'reduce-iterations',
+    'cluster-algorithm', 'k-auto', 'k-slider', 'k-method', 'hdbscan-min-cluster', 'hdbscan-min-samples',
+    'dedupe-threshold', 'dedupe-collapse',
+    'keyword-bigrams', 'keyword-min-length', 'keyword-stopwords', 'keyword-protected', 'keyword-mmr', 'keyword-diversity',
+    'color-by', 'density-contours',
+];
+
 // Application Orchestrator
 const app = {
     embeddingManager: new EmbeddingManager(),
     topicModeler: new TopicModeler(),
+    clusterClient: new ClusterClient(),
     visualizer: new PlotlyVisualizer('chart-div'),
+    state: null, // { lines, embeddings, topics, topicAssignments, kSelection, reduced, reducer, axisTitles, topicNames, hiddenTopics, selectedTopic, search, metadata, model, addedFrom, drift, viewRevision, selection, chunking, duplicates, keywordWeights } of the last run
+    dataset: null, // imported file: { name, columns, rows, textColumn, metaColumns }
+    sidebar: null,
+
+    // Global seed for k-means, UMAP and t-SNE; null (empty input) = random
+    seed: () => {
+        const value = parseInt(document.getElementById('seed').value, 10);
+        return Number.isFinite(value) ? value : null;
+    },
+
+    // Chunking settings for embedDocuments (chunking.js); null = embed texts whole
+    chunkingOptions: () => {
+        const strategy = document.getElementById('chunk-strategy').value;
+        if (strategy === 'none') return null;
+        return {
+            strategy,
+            size: parseInt(document.getElementById('chunk-size').value, 10) || 128,
+            overlap: parseInt(document.getElementById('chunk-overlap').value, 10) || 0,
+            output: document.getElementById('chunk-output').value,
+            aggregate: document.getElementById('chunk-aggregate').value,
+        };
+    },
+
+    // 2 = flat view with lasso / box selection, 3 = rotatable scene
+    viewDims: () => (document.getElementById('view-dims').value === '2' ? 2 : 3),
+
+    /**
+     * The controls as runPipeline options (pipeline.js): the web app and the
+     * CLI cluster, project and fingerprint a run through the same steps.
+     * @returns {object}
+     */
+    pipelineOptions: () => {
+        const num = (id) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return Number.isFinite(value) ? value : undefined;
+        };
+        return {
+            k: document.getElementById('k-auto').checked ? null : parseInt(document.getElementById('k-slider').value, 10),
+            clustering: document.getElementById('cluster-algorithm').value,
+            clusterOptions: {
+                method: document.getElementById('k-method').value,
+                minClusterSize: parseInt(document.getElementById('hdbscan-min-cluster').value, 10) || 5,
+                minSamples: parseInt(document.getElementById('hdbscan-min-samples').value, 10) || null,
+            },
+            keywordOptions: app.topicModeler.keywordOptions,
+            reduction: document.getElementById('reduce-method').value,
+            targetDim: app.viewDims(),
+            reductionParams: {
+                nNeighbors: num('umap-neighbors'),
+                minDist: num('umap-min-dist'),
+                perplexity: num('tsne-perplexity'),
+                iterations: num('reduce-iterations'),
+            },
+            seed: app.seed(),
+            chunking: app.chunkingOptions(),
+            dedupe: document.getElementById('dedupe-collapse').checked
+                ? parseFloat(document.getElementById('dedupe-threshold').value)
+                : null,
+        };
+    },
+
+    // Exact t-SNE is only offered for inputs it can hold in memory
+    updateMethodLimits: (count) => {
+        const option = document.querySelector('#reduce-method option[value="tsne"]');
+        option.disabled = count > TSNE_MAX_POINTS;
+        option.textContent = option.disabled ? `t-SNE (≤ ${TSNE_MAX_POINTS} items)` : 't-SNE';
+    },
+
+    // Projects the cached embeddings again and redraws, without re-embedding
+    reproject: async () => {
+        if (!app.state) return;
+        const progress = document.getElementById('progress-container');
+        const progressBar = document.getElementById('progress-bar');
+        const progressLabel = document.getElementById('progress-label');
+        const { reduction, targetDim, reductionParams, seed } = app.pipelineOptions();
+        const methodName = { pca: 'PCA', umap: 'UMAP', tsne: 't-SNE' }[reduction];
+
+        progress.style.display = 'block';
+        progress.classList.remove('hidden');
+        progressBar.style.width = '0%';
+        progressLabel.textContent = `Projecting with ${methodName}...`;
+        await new Promise(r => setTimeout(r, 10)); // Yield UI
+
+        try {
+            const { points, model, axisTitles } = await projectEmbeddings(app.state.embeddings, {
+                reduction,
+                targetDim,
+                reductionParams,
+                seed,
+                onProgress: (done, total) => {
+                    const pct = Math.round((done / total) * 100);
+                    progressBar.style.width = `${pct}%`;
+                    progressLabel.textContent = `${pct}% - ${methodName} iteration ${done}/${total}`;
+                },
+            });
+            app.state.reduced = points;
+            app.state.reducer = model;
+            app.state.axisTitles = axisTitles;
+            if (app.state.search) app.state.search.point = null;
+            // Everything is fitted again: no incremental points, fresh camera
+            app.state.addedFrom = null;
+            app.state.drift = null;
+            app.state.viewRevision = (app.state.viewRevision || 0) + 1;
+            // Still clustering (a newer request superseded the first run): applyTopics draws the map
+            if (app.state.topicAssignments) app.redraw();
+        } finally {
+            progress.style.display = 'none';
+        }
+    },
+
+    /**
+     * Clusters the cached embeddings again (auto k or the slider's k) and
+     * recolors the plot without re-embedding or re-projecting. Clustering runs
+     * in a worker; a newer call makes an older one reject with an AbortError.
+     * @returns {Promise<object[]>} topics
+     */
+    recluster: async () => {
+        if (!app.state) return [];
+        const st = app.state;
+        const slider = document.getElementById('k-slider');
+        const { k, clustering, clusterOptions, seed } = app.pipelineOptions();
+
+        const collapse = app.collapseOptions();
+        const { topics, assignments, kSelection } = await clusterTopics(app.topicModeler, st.lines, st.embeddings, {
+            k, clustering, clusterOptions, seed, collapse,
+            cluster: (embeddings, clusterK, options) => app.clusterClient.cluster(embeddings, clusterK, options),
+        });
+        // Items were added or another run started meanwhile
+        if (app.state !== st || assignments.length !== st.lines.length) return app.state.topics;
+        app.state.kSelection = kSelection;
+        app.state.keywordWeights = collapse ? collapse.keywordWeights : null;
+        app.state.drift = null; // centroids are new
+        app.resetTopicEdits();
+        app.applyTopics(topics, assignments);
+
+        const clusterCount = topicCount(topics);
+        slider.max = Math.max(2, Math.min(30, app.state.lines.length));
+        if (k === null && clustering === 'kmeans') slider.value = clusterCount;
+        document.getElementById('k-value').textContent = clusterCount;
+        app.drawKCurve();
+        return topics;
+    },
+
+    /**
+     * recluster() for flows that go on to project the map: resolves with null
+     * instead of rejecting when a newer request supersedes it (that request
+     * applies and labels its own topics).
+     * @returns {Promise<object[]|null>} topics
+     */
+    reclusterUnlessSuperseded: async () => {
+        try {
+            return await app.recluster();
+        } catch (err) {
+            if (err.name === 'AbortError') return null;
+            throw err;
+        }
+    },
+
+    // Recomputes keywords/labels for the current assignments (e.g. after keyword settings change)
+    relabel: () => {
+        if (!app.state) return [];
+        const assignments = app.state.topicAssignments.map(t => t.id);
+        const topics = app.topicModeler.buildTopics(app.state.lines, app.state.embeddings, assignments, {
+            keywordWeights: app.state.keywordWeights,
+        });
+        app.applyTopics(topics, assignments);
+        return topics;
+    },
+
+    /**
+     * Optional KeyBERT/MMR pass over the current topics: embeds candidate
+     * keywords with the active model and relabels topics in place.
+     * No-op unless the re-ranking checkbox is on.
+     * @param {object[]} [topics] - a subset of the current topics; all by default
+     */
+    refineLabels: async (topics = app.state && app.state.topics) => {
+        if (!app.state || !document.getElementById('keyword-mmr').checked) return;
+        const diversity = parseFloat(document.getElementById('keyword-diversity').value);
+        const embedPhrases = async (phrases) => (await app.embeddingManager.generateEmbeddings(phrases)).embeddings;
+        await app.topicModeler.rerankKeywords(topics, embedPhrases, {
+            diversity: Number.isFinite(diversity) ? diversity : 0.5,
+        });
+        app.applyTopics(app.state.topics, app.state.topicAssignments.map(t => t.id));
+    },
+
+    // Stores topics + per-point assignments and recolors the plot if it exists
+    applyTopics: (topics, assignments) => {
+        // Per-point { id, label }, in the same order as `lines`
+        const labels = new Map(topics.map(t => [t.id, app.topicLabel(t)]));
+        app.state.topics = topics;
+        app.state.topicAssignments = assignments.map(id => ({ id, label: labels.get(id) }));
+        app.drawTopicTree();
+        app.drawSidebar();
+        app.drawDrift();
+        if (app.state.reduced) app.redraw();
+    },
+
+    // User-given name, else the generated label
+    topicLabel: (topic) => app.state.topicNames[topic.id] || topic.label,
+
+    // Renames / hidden topics / selection refer to topic ids, which clustering renumbers
+    resetTopicEdits: () => {
+        app.state.topicNames = {};
+        app.state.hiddenTopics = new Set();
+        app.state.selectedTopic = null;
+    },
+
+    drawSidebar: () => {
+        const { topics, selectedTopic, hiddenTopics } = app.state;
+        app.sidebar.render(topics.map(t => ({ ...t, label: app.topicLabel(t) })), {
+            selected: selectedTopic,
+            hidden: hiddenTopics,
+        });
+    },
+
+    // Click on a sidebar topic: highlight it, click again to clear
+    selectTopic: (topicId) => {
+        app.state.selectedTopic = app.state.selectedTopic === topicId ? null : topicId;
+        app.visualizer.highlightTopic(app.state.selectedTopic);
+        app.drawSidebar();
+    },
+
+    /**
+     * @param {number} topicId
+     * @param {string|null} name - '' restores the generated label, null leaves it unchanged
+     */
+    renameTopic: (topicId, name) => {
+        if (name !== null) {
+            const topic = app.state.topics.find(t => t.id === topicId);
+            if (!name || name === topic.label) delete app.state.topicNames[topicId];
+            else app.state.topicNames[topicId] = name;
+        }
+        app.applyTopics(app.state.topics, app.state.topicAssignments.map(t => t.id));
+    },
+
+    toggleTopic: (topicId) => {
+        const hidden = app.state.hiddenTopics;
+        if (hidden.has(topicId)) hidden.delete(topicId);
+        else hidden.add(topicId);
+        app.visualizer.setTopicVisible(topicId, !hidden.has(topicId));
+        app.drawSidebar();
+    },
+
+    // Lasso / box selection in the 2D view (original indices)
+    setSelection: (indices) => {
+        if (!app.state) return;
+        app.state.selection = indices;
+        app.drawSelection();
+    },
+
+    clearSelection: () => {
+        app.setSelection([]);
+        if (app.state && app.state.reduced) app.redraw();
+    },
+
+    // Selected documents with their topic, and the "move to" choices
+    drawSelection: () => {
+        const panel = document.getElementById('selection-panel');
+        const selection = (app.state && app.state.selection) || [];
+        panel.classList.toggle('hidden', selection.length === 0);
+        if (selection.length === 0) return;
+
+        const { lines, topics, topicAssignments } = app.state;
+        document.getElementById('selection-count').textContent = `${selection.length} selected`;
+        const target = document.getElementById('selection-target');
+        const previous = target.value;
+        target.innerHTML = '';
+        [...topics].sort((a, b) => b.indices.length - a.indices.length)
+            .forEach(t => target.add(new Option(t.id === OUTLIER_TOPIC ? 'Outliers' : app.topicLabel(t), t.id)));
+        target.add(new Option('New topic…', 'new'));
+        if (Array.from(target.options).some(o => o.value === previous)) target.value = previous;
+        document.getElementById('selection-new-name').classList.toggle('hidden', target.value !== 'new');
+
+        // Long selections list their first documents only
+        const shown = 200;
+        const list = document.getElementById('selection-list');
+        list.innerHTML = '';
+        for (const i of selection.slice(0, shown)) {
+            const item = document.createElement('li');
+            item.className = 'flex items-center gap-2';
+            const swatch = document.createElement('span');
+            swatch.className = 'legend-swatch shrink-0';
+            swatch.style.backgroundColor = topicColor(topicAssignments[i].id);
+            swatch.title = topicAssignments[i].label;
+            const text = document.createElement('span');
+            text.className = 'truncate';
+            text.textContent = lines[i];
+            text.title = lines[i];
+            item.append(swatch, text);
+            list.appendChild(item);
+        }
+        if (selection.length > shown) {
+            const more = document.createElement('li');
+            more.className = 'text-gray-400';
+            more.textContent = `… and ${selection.length - shown} more`;
+            list.appendChild(more);
+        }
+    },
+
+    /**
+     * Moves the selected documents to a topic and recomputes keywords for the
+     * topics involved (and re-ranks them when re-ranking is on).
+     * @param {number|null} targetId - null creates a new topic
+     * @param {string} [name] - for a new topic; empty keeps the generated label
+     */
+    moveSelection: async (targetId, name = '') => {
+        const st = app.state;
+        if (!st || st.selection.length === 0) return;
+        const { topics, assignments, targetId: movedTo, affected } = app.topicModeler.moveDocuments(
+            st.lines, st.embeddings, st.topicAssignments.map(t => t.id), st.topics, st.selection, targetId,
+            { keywordWeights: st.keywordWeights },
+        );
+        if (targetId === null && name) st.topicNames[movedTo] = name;
+        if (!topics.some(t => t.id === st.selectedTopic)) st.selectedTopic = null;
+        // Topic ids that disappeared take their edits with them
+        for (const id of Object.keys(st.topicNames)) {
+            if (!topics.some(t => t.id === Number(id))) delete st.topicNames[id];
+        }
+        st.hiddenTopics.delete(movedTo);
+        st.selection = [];
+        app.drawSelection();
+        app.applyTopics(topics, assignments);
+        await app.refineLabels(topics.filter(t => affected.includes(t.id)));
+    },
+
+    /**
+     * Groups near-identical documents at the threshold control's cosine
+     * similarity and lists them for review. Groups keep their checkbox state
+     * (by representative) when the threshold changes.
+     * @returns {object[]} groups, see findDuplicateGroups
+     */
+    findDuplicates: () => {
+        if (!app.state) return [];
+        const threshold = parseFloat(document.getElementById('dedupe-threshold').value);
+        if (!(threshold > 0 && threshold <= 1)) throw new Error("The similarity threshold must be between 0 and 1");
+        const groups = findDuplicateGroups(app.state.embeddings, { threshold });
+        const excluded = app.state.duplicates ? app.state.duplicates.excluded : new Set();
+        app.state.duplicates = { threshold, groups, excluded, count: app.state.lines.length };
+        app.drawDuplicates();
+        return groups;
+    },
+
+    /**
+     * Collapse plan for clustering (duplicates.js), or null when collapsing
+     * is off. Searches for groups first if there are none for the current
+     * threshold and items.
+     * @returns {object|null}
+     */
+    collapseOptions: () => {
+        const st = app.state;
+        if (!st || !document.getElementById('dedupe-collapse').checked) return null;
+        const threshold = parseFloat(document.getElementById('dedupe-threshold').value);
+        if (!st.duplicates || st.duplicates.threshold !== threshold || st.duplicates.count !== st.lines.length) app.findDuplicates();
+        const { groups, excluded } = st.duplicates;
+        return collapseDuplicates(st.lines.length, groups.filter(g => !excluded.has(g.representative)));
+    },
+
+    // Checked groups are collapsed before clustering; unchecked ones stay separate documents
+    setDuplicateGroupIncluded: (representative, included) => {
+        const { excluded } = app.state.duplicates;
+        if (included) excluded.delete(representative);
+        else excluded.add(representative);
+        app.drawDuplicates();
+    },
+
+    // Groups with their similarity to the representative, largest first
+    drawDuplicates: () => {
+        const list = document.getElementById('dedupe-list');
+        const statusEl = document.getElementById('dedupe-status');
+        list.innerHTML = '';
+        const duplicates = app.state && app.state.duplicates;
+        if (!duplicates) {
+            statusEl.textContent = '';
+            return;
+        }
+        const { groups, excluded } = duplicates;
+        const included = groups.filter(g => !excluded.has(g.representative));
+        const collapsed = included.reduce((sum, g) => sum + g.members.length - 1, 0);
+        statusEl.textContent = groups.length === 0
+            ? 'No near-duplicates at this threshold.'
+            : `${groups.length} groups; collapsing ${included.length} of them removes ${collapsed} of ${app.state.lines.length} documents from clustering`;
+
+        const shown = 200;
+        for (const group of groups.slice(0, shown)) {
+            const item = document.createElement('li');
+            item.className = 'border-t border-gray-100 pt-1';
+            const header = document.createElement('label');
+            header.className = 'flex items-center gap-2 text-gray-600';
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.checked = !excluded.has(group.representative);
+            box.dataset.representative = group.representative;
+            const count = document.createElement('span');
+            count.className = 'shrink-0 font-mono';
+            count.textContent = `${group.members.length}× ≥ ${group.minScore.toFixed(3)}`;
+            const text = document.createElement('span');
+            text.className = 'truncate font-medium';
+            text.textContent = app.state.lines[group.representative];
+            text.title = app.state.lines[group.representative];
+            header.append(box, count, text);
+
+            const members = document.createElement('ol');
+            members.className = 'ml-6 text-gray-500';
+            for (const { index, score } of group.members.slice(1)) {
+                const member = document.createElement('li');
+                member.className = 'flex gap-2';
+                const value = document.createElement('span');
+                value.className = 'shrink-0 font-mono';
+                value.textContent = score.toFixed(3);
+                const line = document.createElement('span');
+                line.className = 'truncate';
+                line.textContent = app.state.lines[index];
+                line.title = app.state.lines[index];
+                member.append(value, line);
+                members.appendChild(member);
+            }
+            item.append(header, members);
+            list.appendChild(item);
+        }
+        if (groups.length > shown) {
+            const more = document.createElement('li');
+            more.className = 'text-gray-400';
+            more.textContent = `… and ${groups.length - shown} more groups`;
+            list.appendChild(more);
+        }
+    },
+
+    /**
+     * Adds texts to the current map without refitting: embeds them, projects
+     * them with the fitted reducer and assigns each to the nearest topic centroid.
+     * Tracks how many land farther from every centroid than nearly all fitted
+     * documents (see driftStatus).
+     * @param {string[]} lines
+     * @param {object[]|null} [metadata] - per line, aligned with lines
+     * @param {Function} [onProgress] - as for EmbeddingManager.generateEmbeddings
+     * @returns {Promise<{ added: number, cancelled: boolean }>}
+     */
+    addItems: async (lines, metadata = null, onProgress = null) => {
+        const st = app.state;
+        if (st.model && st.model.cacheKey !== app.embeddingManager.provider.cacheKey) {
+            throw new Error(`This run was embedded with ${st.model.modelId}; load that model to add items.`);
+        }
+        // Same chunking as the map; chunk numbering continues after its documents
+        const documentOffset = st.chunking && st.chunking.output === 'chunks'
+            ? st.metadata.reduce((max, m) => Math.max(max, Number(m.document) || 0), 0)
+            : 0;
+        const embedded = await embedDocuments(app.embeddingManager, lines, { chunking: st.chunking, metadata, documentOffset, onProgress });
+        const { embeddings, cancelled } = embedded;
+        const added = embedded.lines;
+        metadata = embedded.metadata;
+        if (added.length === 0) return { added: 0, cancelled };
+
+        if (st.addedFrom === null || st.addedFrom === undefined) st.addedFrom = st.lines.length;
+        if (!st.drift) {
+            st.drift = { added: 0, far: 0, fitted: st.lines.length, threshold: app.topicModeler.centroidSimilarityThreshold(st.topics) };
+        }
+        // Maps with an outlier topic (HDBSCAN) send items far from every topic there
+        const hasOutliers = st.topics.some(t => t.id === OUTLIER_TOPIC);
+        const { assignments, similarities } = app.topicModeler.assignToNearest(embeddings, st.topics, {
+            minSimilarity: hasOutliers ? st.drift.threshold : -Infinity,
+        });
+        const points = DimensionalityReducer.transform(st.reducer, embeddings, { embeddings: st.embeddings, points: st.reduced });
+        st.drift.added += added.length;
+        st.drift.far += similarities.filter(sim => sim < st.drift.threshold).length;
+
+        if (st.metadata) {
+            const fields = Object.keys(st.metadata[0] || {});
+            added.forEach((_, i) => st.metadata.push(Object.fromEntries(fields.map(f => [f, metadata?.[i]?.[f] ?? '']))));
+        }
+        st.lines.push(...added);
+        st.embeddings.push(...embeddings);
+        st.reduced.push(...points);
+        if (st.search) st.search.point = null;
+        // Added items are not in any duplicate group until the next search
+        if (st.keywordWeights) st.keywordWeights.push(...added.map(() => 1));
+
+        const all = [...st.topicAssignments.map(t => t.id), ...assignments];
+        app.applyTopics(app.topicModeler.buildTopics(st.lines, st.embeddings, all, { keywordWeights: st.keywordWeights }), all);
+        return { added: added.length, cancelled };
+    },
+
+    /**
+     * Incremental additions since the last fit; a refit is suggested once at
+     * least 5 of them (and 10% of the fitted map) sit far from every centroid.
+     * @returns {{ added: number, far: number, refit: boolean }|null}
+     */
+    driftStatus: () => {
+        const drift = app.state && app.state.drift;
+        if (!drift || drift.added === 0) return null;
+        return { added: drift.added, far: drift.far, refit: drift.far >= Math.max(5, 0.1 * drift.fitted) };
+    },
+
+    drawDrift: () => {
+        const indicator = document.getElementById('drift-indicator');
+        const drift = app.driftStatus();
+        indicator.classList.toggle('hidden', !drift);
+        if (!drift) return;
+        document.getElementById('drift-text').textContent =
+            `${drift.added} added since the last fit, ${drift.far} far from every topic.` + (drift.refit ? ' A full refit is recommended.' : '');
+        indicator.classList.toggle('text-red-600', drift.refit);
+        indicator.classList.toggle('text-gray-500', !drift.refit);
+    },
+
+    /**
+     * Merges topics along the hierarchy down to n and recolors the plot.
+     * @param {number} n
+     * @returns {object[]} topics
+     */
+    reduceTopics: (n) => {
+        if (!app.state) return [];
+        const { topics, assignments } = app.topicModeler.reduceTopics(
+            app.state.lines, app.state.embeddings, app.state.topicAssignments.map(t => t.id), n,
+            { keywordWeights: app.state.keywordWeights },
+        );
+        app.resetTopicEdits();
+        app.applyTopics(topics, assignments);
+        document.getElementById('k-value').textContent = topics.filter(t => t.id !== OUTLIER_TOPIC).length;
+        return topics;
+    },
+
+    // Collapsible tree of the agglomerative topic hierarchy
+    drawTopicTree: () => {
+        const container = document.getElementById('topic-tree');
+        container.innerHTML = '';
+        const root = app.state ? app.topicModeler.buildHierarchy(app.state.topics.map(t => ({ ...t, label: app.topicLabel(t) }))) : null;
+        if (!root) return;
+
+        const renderNode = (node) => {
+            if (!node.children) {
+                const leaf = document.createElement('div');
+                leaf.className = 'flex items-center gap-1 pl-4';
+                const swatch = document.createElement('span');
+                swatch.className = 'inline-block w-2 h-2 rounded-full';
+                swatch.style.backgroundColor = topicColor(node.topicId);
+                const label = document.createElement('span');
+                label.textContent = `${node.label} (${node.size})`;
+                leaf.append(swatch, label);
+                return leaf;
+            }
+            const details = document.createElement('details');
+            details.open = true;
+            details.className = 'pl-2';
+            const summary = document.createElement('summary');
+            summary.className = 'cursor-pointer';
+            summary.textContent = `${node.topicIds.length} topics · ${node.size} docs · d=${node.distance.toFixed(2)}`;
+            details.append(summary, ...node.children.map(renderNode));
+            return details;
+        };
+        container.appendChild(renderNode(root));
+    },
+
+    /**
+     * Embeds the query (with the model's query prefix), ranks every line by
+     * cosine similarity and marks the query and its top-k matches in the plot.
+     * @param {string} query
+     * @param {number} [topK=10]
+     * @returns {Promise<{ index: number, text: string, score: number }[]>}
+     */
+    search: async (query, topK = 10) => {
+        if (!app.state || !app.state.reduced) return [];
+        if (app.state.model && app.state.model.cacheKey !== app.embeddingManager.provider.cacheKey) {
+            throw new Error(`This run was embedded with ${app.state.model.modelId}; load that model to search it.`);
+        }
+        const { embeddings: [vector] } = await app.embeddingManager.generateEmbeddings([query], null, 'query');
+        if (!vector) return []; // cancelled
+
+        const matches = app.state.embeddings
+            .map((e, index) => ({ index, text: app.state.lines[index], score: cosineSimilarity(vector, e) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK);
+        app.state.search = { query, vector, point: null, matches };
+        app.drawSearch();
+        return matches;
+    },
+
+    drawSearch: () => {
+        const { search, reduced } = app.state;
+        if (!search) return app.visualizer.clearSearch();
+        // Projected lazily so a re-projection places the query in the new layout
+        if (!search.point) {
+            [search.point] = DimensionalityReducer.transform(app.state.reducer, [search.vector], {
+                embeddings: app.state.embeddings,
+                points: reduced,
+            });
+        }
+        app.visualizer.showSearch(search.point, search.query, search.matches.map(m => ({ ...m, point: reduced[m.index] })));
+    },
+
+    clearSearch: () => {
+        if (app.state) app.state.search = null;
+        app.visualizer.clearSearch();
+    },
+
+    // The current run in the shape dataExport.js expects, with user-renamed labels
+    exportRun: () => {
+        const { lines, embeddings, reduced, topics, topicAssignments, metadata, axisTitles } = app.state;
+        return {
+            lines, embeddings, reduced, metadata, axisTitles,
+            topics: topics.map(t => ({ ...t, label: app.topicLabel(t) })),
+            assignments: topicAssignments.map(t => t.id),
+            model: app.state.model,
+            fingerprint: app.state.fingerprint || null,
+        };
+    },
+
+    controlSettings: () => Object.fromEntries(SESSION_CONTROLS.map(id => {
+        const el = document.getElementById(id);
+        return [id, el.type === 'checkbox' ? el.checked : el.value];
+    })),
+
+    applyControlSettings: (values = {}) => {
+        for (const id of SESSION_CONTROLS) {
+            const el = document.getElementById(id);
+            if (!(id in values)) continue;
+            if (el.type === 'checkbox') el.checked = values[id];
+            else el.value = values[id];
+        }
+    },
+
+    saveSession: () => {
+        if (!app.state || !app.state.topicAssignments) return;
+        const { lines, metadata, embeddings, reduced, axisTitles, reducer, topics, topicAssignments, kSelection } = app.state;
+        const content = serializeSession({
+            model: app.state.model,
+            settings: { controls: app.controlSettings(), keywords: app.topicModeler.keywordOptions },
+            lines, metadata, embeddings, reduced, axisTitles, reducer, topics, kSelection,
+            assignments: topicAssignments.map(t => t.id),
+            edits: {
+                topicNames: app.state.topicNames,
+                hiddenTopics: Array.from(app.state.hiddenTopics),
+                selectedTopic: app.state.selectedTopic,
+                excludedDuplicates: app.state.duplicates ? Array.from(app.state.duplicates.excluded) : [],
+            },
+            duplicates: app.state.duplicates,
+        });
+        downloadFile('session.json', content, 'application/json');
+    },
+
+    /**
+     * Restores a saved session: state, controls and plot. Never runs the model.
+     * @param {string} text - session file contents
+     * @returns {object} the parsed session
+     */
+    restoreSession: (text) => {
+        const session = parseSession(text);
+        const { controls = {}, keywords = {} } = session.settings || {};
+        app.applyControlSettings(controls);
+        app.topicModeler.configure(keywords);
+
+        app.state = {
+            lines: session.lines,
+            embeddings: session.embeddings,
+            metadata: session.metadata,
+            model: session.model,
+            topics: [],
+            topicAssignments: null,
+            kSelection: session.kSelection,
+            reduced: session.reduced,
+            reducer: session.reducer,
+            axisTitles: session.axisTitles,
+            topicNames: session.edits?.topicNames || {},
+            hiddenTopics: new Set(session.edits?.hiddenTopics || []),
+            selectedTopic: session.edits?.selectedTopic ?? null,
+            search: null,
+            addedFrom: null,
+            drift: null,
+            viewRevision: 0,
+            selection: [],
+            chunking: app.chunkingOptions(),
+            duplicates: null,
+            keywordWeights: null,
+        };
+        document.getElementById('view-dims').value = String(session.reduced[0]?.length === 2 ? 2 : 3);
+        app.drawSelection();
+        // Keyword counts and clustering weights of a collapsed run need its duplicate groups;
+        // sessions saved without them search again
+        if (session.duplicates) {
+            const { threshold, groups } = session.duplicates;
+            app.state.duplicates = { threshold, groups, excluded: new Set(), count: session.lines.length };
+        } else if (document.getElementById('dedupe-collapse').checked) {
+            app.findDuplicates();
+        }
+        if (app.state.duplicates) {
+            for (const representative of session.edits?.excludedDuplicates || []) app.state.duplicates.excluded.add(representative);
+        }
+        if (document.getElementById('dedupe-collapse').checked) app.state.keywordWeights = app.collapseOptions().keywordWeights;
+        app.drawDuplicates();
+        app.applyTopics(session.topics, session.assignments);
+        document.getElementById('k-value').textContent = session.topics.filter(t => t.id !== OUTLIER_TOPIC).length;
+        app.drawKCurve();
+        return session;
+    },
+
+    /**
+     * Downloads the current run.
+     * @param {'json'|'items'|'vectors'|'topics'|'projector'} format
+     */
+    exportAs: (format) => {
+        if (!app.state || !app.state.topicAssignments) return;
+        const run = app.exportRun();
+        if (format === 'json') downloadFile('embeddings.json', runJSON(run), 'application/json');
+        else if (format === 'items') downloadFile('items.csv', itemsCSV(run), 'text/csv');
+        else if (format === 'vectors') downloadFile('vectors.csv', vectorsCSV(run), 'text/csv');
+        else if (format === 'topics') downloadFile('topics.csv', topicsCSV(run), 'text/csv');
+        else if (format === 'projector') {
+            const { vectors, metadata } = projectorTSV(run);
+            downloadFile('vectors.tsv', vectors, 'text/tab-separated-values');
+            downloadFile('metadata.tsv', metadata, 'text/tab-separated-values');
+        }
+    },
+
+    /**
+     * Full refit of the current vectors: clustering, projection and labels.
+     * @returns {Promise<object[]|null>} topics; null when a newer clustering request took over
+     */
+    refit: async () => {
+        const topics = await app.reclusterUnlessSuperseded();
+        await app.reproject();
+        if (topics) await app.refineLabels();
+        return topics;
+    },
+
+    /**
+     * Shows the fingerprint of the current map: model, settings that shape it,
+     * seed and input. Equal fingerprints mean identical maps; a CLI run with
+     * the same settings gets the same fingerprint (see runSettings in pipeline.js).
+     */
+    updateFingerprint: async () => {
+        const el = document.getElementById('run-fingerprint');
+        if (!app.state || !app.state.model) {
+            el.textContent = '';
+            return;
+        }
+        const options = app.pipelineOptions();
+        const { seed } = options;
+        const excluded = app.state.keywordWeights ? Array.from(app.state.duplicates.excluded).sort((a, b) => a - b) : [];
+        const { id } = await runFingerprint({
+            model: app.state.model.cacheKey,
+            settings: {
+                ...runSettings(options),
+                // What only the web app does, when it is in use
+                ...(document.getElementById('keyword-mmr').checked ? { rerank: parseFloat(document.getElementById('keyword-diversity').value) } : {}),
+                ...(app.state.addedFrom !== null && app.state.addedFrom !== undefined ? { added: app.state.addedFrom } : {}),
+                ...(excluded.length ? { excludedDuplicates: excluded } : {}),
+            },
+            seed,
+            lines: app.state.lines,
+        });
+        app.state.fingerprint = id;
+        el.textContent = `run ${id} · ${app.state.model.modelId} · seed ${seed ?? 'random'} · ${app.state.lines.length} items`;
+        el.title = seed === null ? 'No seed: clustering and UMAP / t-SNE differ between runs' : '';
+    },
+
+    redraw: () => {
+        app.updateMethodLimits(app.state.lines.length);
+        const { reduced, lines, topicAssignments, axisTitles, hiddenTopics, selectedTopic, metadata, addedFrom, viewRevision, selection } = app.state;
+        const colorBy = document.getElementById('color-by').value;
+        app.visualizer.updatePoints(reduced, lines, topicAssignments, null, {
+            axisTitles, hiddenTopics, metadata, colorBy, newFrom: addedFrom, uirevision: viewRevision,
+            selected: new Set(selection), dragmode: document.getElementById('drag-mode').value,
+            contours: document.getElementById('density-contours').checked,
+        });
+        // Selection tools and contours only exist in the flat view
+        document.getElementById('view-2d-controls').classList.toggle('hidden', app.visualizer.dims !== 2);
+        if (selectedTopic !== null) app.visualizer.highlightTopic(selectedTopic);
+        app.drawSearch();
+        app.updateFingerprint().catch(err => console.warn("Fingerprint failed:", err));
+    },
+
+    // Silhouette / SSE per candidate k from the last automatic selection
+    drawKCurve: () => {
+        const div = document.getElementById('k-curve');
+        const selection = app.state.kSelection;
+        if (!selection || selection.candidates.length === 0) {
+            div.classList.add('hidden');
+            return;
+        }
+        div.classList.remove('hidden');
+        const ks = selection.candidates.map(c => c.k);
+        Plotly.newPlot(div, [
+            { x: ks, y: selection.candidates.map(c => c.silhouette), name: 'silhouette', mode: 'lines+markers', line: { color: colors['blue'].dark } },
+            { x: ks, y: selection.candidates.map(c => c.sse), name: 'SSE', yaxis: 'y2', mode: 'lines+markers', line: { color: colors['cool-gray-2'].dark } },
+        ], {
+            height: 140,
+            margin: { l: 40, r: 40, t: 10, b: 30 },
+            showlegend: false,
+            xaxis: { title: { text: 'k', font: { size: 10 } }, dtick: 1, tickfont: { size: 9 } },
+            yaxis: { title: { text: 'silhouette', font: { size: 10 } }, tickfont: { size: 9 } },
+            yaxis2: { title: { text: 'SSE', font: { size: 10 } }, overlaying: 'y', side: 'right', tickfont: { size: 9 } },
+            shapes: [{ type: 'line', x0: selection.k, x1: selection.k, yref: 'paper', y0: 0, y1: 1, line: { dash: 'dot', color: colors['orange'].dark } }],
+        }, { displayModeBar: false, responsive: true });
+    },
     
     init: async () => {
         const input = document.getElementById('text-input');
@@ -290,30 +1466,654 @@ const app = {
         const loader = document.getElementById('loader');
         const btnText = document.getElementById('btn-text');
         const status = document.getElementById('status-msg');
+        const cancelBtn = document.getElementById('cancel-btn');
+        const batchInput = document.getElementById('batch-size');
 
-        // Initial load
-        try {
-            await app.embeddingManager.loadModel((msg) => {
-                status.textContent = msg;
+        app.sidebar = new TopicSidebar('legend-container', {
+            onSelect: app.selectTopic,
+            onRename: app.renameTopic,
+            onToggle: app.toggleTopic,
+        });
+
+        cancelBtn.addEventListener('click', () => {
+            app.embeddingManager.cancel();
+            cancelBtn.disabled = true;
+            status.textContent = "Cancelling...";
+        });
+
+        // Provider selection
+        const providerSelect = document.getElementById('provider-select');
+        const providerUrl = document.getElementById('provider-url');
+        const providerModel = document.getElementById('provider-model');
+        const providerKey = document.getElementById('provider-key');
+        const providerApply = document.getElementById('provider-apply');
+        const modelSelect = document.getElementById('model-select');
+        const dtypeSelect = document.getElementById('dtype-select');
+        const deviceSelect = document.getElementById('device-select');
+        const providerDefaults = {
+            openai: { url: 'http://localhost:8000', model: 'text-embedding-3-small' },
+            ollama: { url: 'http://localhost:11434', model: 'nomic-embed-text' },
+        };
+
+        const loadProvider = async () => {
+            btn.disabled = true;
+            try {
+                await app.embeddingManager.loadModel((msg) => {
+                    status.textContent = msg;
+                });
+            } catch (e) {
+                console.error(e);
+                status.textContent = "Error loading model: " + e.message;
+            } finally {
+                btn.disabled = false;
+            }
+        };
+
+        // Model registry picker (transformers.js only)
+        const fillDtypes = (modelId) => {
+            dtypeSelect.innerHTML = '';
+            getModelInfo(modelId).dtypes.forEach(dtype => dtypeSelect.add(new Option(dtype, dtype)));
+        };
+        MODEL_REGISTRY.forEach(m => modelSelect.add(new Option(`${m.name} (${m.dimensions}-d, ${m.pooling})`, m.id)));
+        modelSelect.value = app.embeddingManager.modelId;
+        fillDtypes(modelSelect.value);
+
+        const useLocalModel = async () => {
+            app.embeddingManager.setProvider(createProvider({
+                type: 'transformers',
+                modelId: modelSelect.value,
+                dtype: dtypeSelect.value,
+                device: deviceSelect.value || null,
+            }));
+            await loadProvider();
+        };
+
+        modelSelect.addEventListener('change', async () => {
+            fillDtypes(modelSelect.value);
+            await useLocalModel();
+        });
+        dtypeSelect.addEventListener('change', useLocalModel);
+        deviceSelect.addEventListener('change', useLocalModel);
+
+        providerSelect.addEventListener('change', async () => {
+            const type = providerSelect.value;
+            const remote = type !== 'transformers';
+            [providerUrl, providerModel, providerApply].forEach(el => el.classList.toggle('hidden', !remote));
+            [modelSelect, dtypeSelect, deviceSelect].forEach(el => el.classList.toggle('hidden', remote));
+            providerKey.classList.toggle('hidden', type !== 'openai');
+            if (remote) {
+                providerUrl.value = providerDefaults[type].url;
+                providerModel.value = providerDefaults[type].model;
+                return; // wait for "Connect"
+            }
+            await useLocalModel();
+        });
+
+        providerApply.addEventListener('click', async () => {
+            app.embeddingManager.setProvider(createProvider({
+                type: providerSelect.value,
+                baseUrl: providerUrl.value.trim(),
+                modelId: providerModel.value.trim(),
+                apiKey: providerKey.value.trim(),
+            }));
+            await loadProvider();
+        });
+
+        // Embedding cache inspector
+        const cachePanel = document.getElementById('cache-panel');
+        const cacheList = document.getElementById('cache-list');
+        const cacheSummary = document.getElementById('cache-summary');
+
+        const refreshCachePanel = async () => {
+            const cache = app.embeddingManager.cache;
+            if (!cache) {
+                cacheSummary.textContent = 'Embedding cache (unavailable)';
+                return;
+            }
+            if (!cachePanel.open) return;
+
+            const stats = await cache.stats();
+            const total = stats.reduce((sum, s) => sum + s.count, 0);
+            const totalBytes = stats.reduce((sum, s) => sum + s.bytes, 0);
+            cacheSummary.textContent = `Embedding cache: ${total} vectors (${formatBytes(totalBytes)})`;
+
+            cacheList.innerHTML = '';
+            for (const entry of stats) {
+                const row = document.createElement('li');
+                row.className = 'flex items-center justify-between gap-2 py-1';
+                const name = document.createElement('span');
+                name.className = 'truncate';
+                name.title = entry.model;
+                name.textContent = `${entry.model} — ${entry.count} vectors, ${formatBytes(entry.bytes)}`;
+                const clear = document.createElement('button');
+                clear.className = 'px-2 text-xs border border-gray-300 rounded-md hover:bg-gray-50';
+                clear.textContent = 'Clear';
+                clear.addEventListener('click', async () => {
+                    await cache.clear(entry.model);
+                    refreshCachePanel();
+                });
+                row.append(name, clear);
+                cacheList.appendChild(row);
+            }
+            if (stats.length === 0) cacheList.innerHTML = '<li class="py-1">Empty.</li>';
+        };
+
+        cachePanel.addEventListener('toggle', refreshCachePanel);
+        document.getElementById('cache-clear-all').addEventListener('click', async () => {
+            if (!app.embeddingManager.cache) return;
+            await app.embeddingManager.cache.clear();
+            refreshCachePanel();
+        });
+        refreshCachePanel();
+
+        // Chunking parameters apply to the next run; the current map keeps the settings it was made with
+        const chunkStrategy = document.getElementById('chunk-strategy');
+        const chunkOutput = document.getElementById('chunk-output');
+        const showChunkParams = () => {
+            document.querySelectorAll('[data-chunking]').forEach(el => {
+                const shown = el.dataset.chunking.split(' ').includes(chunkStrategy.value)
+                    && (!el.dataset.chunkOutput || el.dataset.chunkOutput === chunkOutput.value);
+                el.classList.toggle('hidden', !shown);
             });
-        } catch (e) {
-            console.error(e);
-            status.textContent = "Error loading model. Check console.";
-            return;
-        }
+        };
+        chunkStrategy.addEventListener('change', showChunkParams);
+        chunkOutput.addEventListener('change', showChunkParams);
+        showChunkParams();
+
+        // Projection method / parameters; switching re-projects the cached embeddings
+        const methodSelect = document.getElementById('reduce-method');
+        const reprojectBtn = document.getElementById('reproject-btn');
+        const showMethodParams = () => {
+            document.querySelectorAll('[data-method]').forEach(el => {
+                el.classList.toggle('hidden', !el.dataset.method.split(' ').includes(methodSelect.value));
+            });
+        };
+        const runReproject = async () => {
+            if (!app.state) return;
+            btn.disabled = reprojectBtn.disabled = methodSelect.disabled = true;
+            try {
+                await app.reproject();
+                status.textContent = `Visualizing ${app.state.lines.length} items in ${topicCount(app.state.topics)} topics.`;
+            } catch (err) {
+                console.error(err);
+                status.textContent = "Error: " + err.message;
+            } finally {
+                btn.disabled = reprojectBtn.disabled = methodSelect.disabled = false;
+            }
+        };
+        methodSelect.addEventListener('change', () => {
+            showMethodParams();
+            runReproject();
+        });
+        reprojectBtn.addEventListener('click', runReproject);
+        showMethodParams();
+
+        // 2D / 3D view; 2D re-projects to two components and enables lasso / box selection
+        document.getElementById('view-dims').addEventListener('change', runReproject);
+        document.getElementById('drag-mode').addEventListener('change', (e) => app.visualizer.setDragMode(e.target.value));
+        document.getElementById('density-contours').addEventListener('change', () => {
+            if (app.state && app.state.reduced) app.redraw();
+        });
+
+        // Selection: list the documents, move them to another topic
+        app.visualizer.onSelect = app.setSelection;
+        const selectionTarget = document.getElementById('selection-target');
+        const selectionName = document.getElementById('selection-new-name');
+        selectionTarget.addEventListener('change', () => {
+            selectionName.classList.toggle('hidden', selectionTarget.value !== 'new');
+        });
+        document.getElementById('selection-move').addEventListener('click', async () => {
+            const count = app.state ? app.state.selection.length : 0;
+            const targetId = selectionTarget.value === 'new' ? null : Number(selectionTarget.value);
+            try {
+                await app.moveSelection(targetId, selectionName.value.trim());
+                selectionName.value = '';
+                status.textContent = `Moved ${count} items; keywords updated.`;
+            } catch (err) {
+                console.error(err);
+                status.textContent = "Error: " + err.message;
+            }
+        });
+        document.getElementById('selection-clear').addEventListener('click', app.clearSelection);
+
+        // Number of topics: automatic selection or manual override
+        const kAuto = document.getElementById('k-auto');
+        const kSlider = document.getElementById('k-slider');
+        const kMethod = document.getElementById('k-method');
+        const reclusterFromControls = async () => {
+            if (!app.state) return;
+            try {
+                status.textContent = "Clustering...";
+                const topics = await app.recluster();
+                await app.refineLabels();
+                status.textContent = `Visualizing ${app.state.lines.length} items in ${topicCount(topics)} topics.`;
+            } catch (err) {
+                if (err.name === 'AbortError') return; // a newer request is running
+                console.error(err);
+                status.textContent = "Error: " + err.message;
+            }
+        };
+        kAuto.addEventListener('change', () => {
+            kSlider.disabled = kAuto.checked;
+            kMethod.disabled = !kAuto.checked;
+            reclusterFromControls();
+        });
+        // Cluster once the slider rests, not on every step of a drag
+        let sliderTimer = null;
+        kSlider.addEventListener('input', () => {
+            document.getElementById('k-value').textContent = kSlider.value;
+            clearTimeout(sliderTimer);
+            sliderTimer = setTimeout(reclusterFromControls, 250);
+        });
+        kMethod.addEventListener('change', reclusterFromControls);
+
+        const clusterAlgorithm = document.getElementById('cluster-algorithm');
+        const showClusterParams = () => {
+            document.querySelectorAll('[data-clustering]').forEach(el => {
+                el.classList.toggle('hidden', el.dataset.clustering !== clusterAlgorithm.value);
+            });
+        };
+        clusterAlgorithm.addEventListener('change', () => {
+            showClusterParams();
+            reclusterFromControls();
+        });
+        document.getElementById('hdbscan-min-cluster').addEventListener('change', reclusterFromControls);
+        document.getElementById('hdbscan-min-samples').addEventListener('change', reclusterFromControls);
+        showClusterParams();
+
+        // File import (drag & drop onto the controls, or the file picker)
+        const importInfo = document.getElementById('import-info');
+        const importOptions = document.getElementById('import-options');
+        const textColumnSelect = document.getElementById('import-text-column');
+        const metaColumnsBox = document.getElementById('import-meta-columns');
+        const importFile = async (file) => {
+            try {
+                const table = parseFile(file.name, await file.text());
+                if (table.rows.length === 0) throw new Error(`No rows found in ${file.name}`);
+                const textColumn = guessTextColumn(table);
+                app.dataset = { name: file.name, ...table, textColumn, metaColumns: table.columns.filter(c => c !== textColumn) };
+
+                textColumnSelect.innerHTML = '';
+                metaColumnsBox.innerHTML = '';
+                for (const column of table.columns) {
+                    textColumnSelect.add(new Option(column, column, false, column === textColumn));
+                    const label = document.createElement('label');
+                    label.className = 'inline-flex items-center gap-1 mr-2';
+                    const box = document.createElement('input');
+                    box.type = 'checkbox';
+                    box.value = column;
+                    box.checked = column !== textColumn;
+                    label.append(box, ` ${column}`);
+                    metaColumnsBox.appendChild(label);
+                }
+                importOptions.classList.toggle('hidden', table.columns.length < 2);
+                importInfo.textContent = `${file.name}: ${table.rows.length} rows`;
+                document.getElementById('import-clear').classList.remove('hidden');
+                input.disabled = true;
+                status.textContent = `Imported ${table.rows.length} rows. Click Visualize to embed them.`;
+            } catch (err) {
+                console.error(err);
+                status.textContent = "Import failed: " + err.message;
+            }
+        };
+        textColumnSelect.addEventListener('change', () => {
+            app.dataset.textColumn = textColumnSelect.value;
+        });
+        metaColumnsBox.addEventListener('change', () => {
+            app.dataset.metaColumns = Array.from(metaColumnsBox.querySelectorAll('input:checked'), el => el.value);
+        });
+        document.getElementById('import-btn').addEventListener('click', () => document.getElementById('import-file').click());
+        document.getElementById('import-file').addEventListener('change', (e) => {
+            if (e.target.files[0]) importFile(e.target.files[0]);
+            e.target.value = '';
+        });
+        document.getElementById('import-clear').addEventListener('click', () => {
+            app.dataset = null;
+            input.disabled = false;
+            importInfo.textContent = '';
+            importOptions.classList.add('hidden');
+            document.getElementById('import-clear').classList.add('hidden');
+        });
+        const controls = document.getElementById('controls');
+        controls.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            controls.classList.add('ring-2', 'ring-blue-300');
+        });
+        controls.addEventListener('dragleave', () => controls.classList.remove('ring-2', 'ring-blue-300'));
+        controls.addEventListener('drop', (e) => {
+            e.preventDefault();
+            controls.classList.remove('ring-2', 'ring-blue-300');
+            const file = e.dataTransfer.files[0];
+            if (file) importFile(file);
+        });
+
+        // Color by topic or an imported metadata field
+        const colorBySelect = document.getElementById('color-by');
+        const refreshColorBy = () => {
+            const fields = app.state && app.state.metadata && app.state.metadata.length ? Object.keys(app.state.metadata[0]) : [];
+            const current = colorBySelect.value;
+            colorBySelect.innerHTML = '';
+            colorBySelect.add(new Option('topic', 'topic'));
+            for (const field of fields) colorBySelect.add(new Option(field, field));
+            colorBySelect.value = fields.includes(current) ? current : 'topic';
+            colorBySelect.disabled = fields.length === 0;
+        };
+        colorBySelect.addEventListener('change', () => {
+            if (app.state && app.state.reduced) app.redraw();
+        });
+
+        document.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => app.exportAs(button.dataset.export));
+        });
+
+        // Semantic search over the embedded lines
+        const searchInput = document.getElementById('search-input');
+        const searchResults = document.getElementById('search-results');
+        const runSearch = async () => {
+            const query = searchInput.value.trim();
+            if (!app.state || !query) return;
+            try {
+                const topK = Math.max(1, parseInt(document.getElementById('search-k').value, 10) || 10);
+                const matches = await app.search(query, topK);
+                searchResults.innerHTML = '';
+                for (const m of matches) {
+                    const item = document.createElement('li');
+                    item.className = 'truncate';
+                    item.title = m.text;
+                    const score = document.createElement('span');
+                    score.className = 'font-mono text-gray-400 mr-2';
+                    score.textContent = m.score.toFixed(3);
+                    item.append(score, m.text);
+                    searchResults.appendChild(item);
+                }
+            } catch (err) {
+                console.error(err);
+                status.textContent = "Error: " + err.message;
+            }
+        };
+        document.getElementById('search-btn').addEventListener('click', runSearch);
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') runSearch();
+        });
+        document.getElementById('search-clear').addEventListener('click', () => {
+            searchInput.value = '';
+            searchResults.innerHTML = '';
+            app.clearSearch();
+        });
+
+        // Topic hierarchy: merge down to N topics without re-embedding
+        document.getElementById('reduce-topics-btn').addEventListener('click', async () => {
+            if (!app.state) return;
+            const n = parseInt(document.getElementById('reduce-topics-n').value, 10);
+            if (!(n >= 1)) return;
+            try {
+                const topics = app.reduceTopics(n);
+                await app.refineLabels();
+                status.textContent = `Visualizing ${app.state.lines.length} items in ${topicCount(topics)} topics.`;
+            } catch (err) {
+                console.error(err);
+                status.textContent = "Error: " + err.message;
+            }
+        });
+
+        // Near-duplicates: review the groups, then collapse the checked ones before clustering
+        const dedupeCollapse = document.getElementById('dedupe-collapse');
+        document.getElementById('dedupe-find').addEventListener('click', async () => {
+            if (!app.state) return;
+            try {
+                app.findDuplicates();
+                if (dedupeCollapse.checked) await reclusterFromControls();
+            } catch (err) {
+                console.error(err);
+                status.textContent = "Error: " + err.message;
+            }
+        });
+        dedupeCollapse.addEventListener('change', reclusterFromControls);
+        document.getElementById('dedupe-list').addEventListener('change', (e) => {
+            const representative = e.target.dataset.representative;
+            if (representative === undefined || !app.state) return;
+            app.setDuplicateGroupIncluded(Number(representative), e.target.checked);
+            if (dedupeCollapse.checked) reclusterFromControls();
+        });
+
+        // Keyword extraction settings
+        const languageBoxes = document.getElementById('keyword-languages');
+        STOPWORD_LANGUAGES.forEach(lang => {
+            const label = document.createElement('label');
+            label.className = 'inline-flex items-center gap-1 mr-2';
+            label.innerHTML = `<input type="checkbox" value="${lang}" ${lang === 'en' ? 'checked' : ''}> ${lang}`;
+            languageBoxes.appendChild(label);
+        });
+        const splitList = (value) => value.split(',').map(w => w.trim()).filter(Boolean);
+        document.getElementById('keyword-apply').addEventListener('click', async () => {
+            app.topicModeler.configure({
+                languages: Array.from(languageBoxes.querySelectorAll('input:checked'), el => el.value),
+                extraStopwords: splitList(document.getElementById('keyword-stopwords').value),
+                protectedTerms: splitList(document.getElementById('keyword-protected').value),
+                ngramMax: document.getElementById('keyword-bigrams').checked ? 2 : 1,
+                minTokenLength: parseInt(document.getElementById('keyword-min-length').value, 10) || 1,
+            });
+            if (!app.state) return;
+            try {
+                const topics = app.relabel();
+                await app.refineLabels();
+                status.textContent = `Visualizing ${app.state.lines.length} items in ${topicCount(topics)} topics.`;
+            } catch (err) {
+                console.error(err);
+                status.textContent = "Error: " + err.message;
+            }
+        });
+
+        // Sessions: save the current analysis, or restore one without the model
+        document.getElementById('session-save').addEventListener('click', app.saveSession);
+        document.getElementById('session-load').addEventListener('click', () => document.getElementById('session-file').click());
+        document.getElementById('session-file').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            try {
+                const colorBy = document.getElementById('color-by');
+                const session = app.restoreSession(await file.text());
+                // Controls were restored above; sync the pieces derived from them
+                languageBoxes.querySelectorAll('input').forEach(el => {
+                    el.checked = app.topicModeler.keywordOptions.languages.includes(el.value);
+                });
+                refreshColorBy();
+                colorBy.value = session.settings?.controls?.['color-by'] || 'topic';
+                kSlider.disabled = kAuto.checked;
+                kMethod.disabled = !kAuto.checked;
+                showMethodParams();
+                showClusterParams();
+                showChunkParams();
+                searchResults.innerHTML = '';
+                app.redraw();
+
+                const model = session.model || {};
+                const sameModel = model.cacheKey === app.embeddingManager.provider.cacheKey;
+                status.textContent = `Loaded session: ${session.lines.length} items in ${topicCount(app.state.topics)} topics (${model.modelId || 'unknown model'}).`
+                    + (sameModel ? '' : ' Load that model to search or add items.');
+            } catch (err) {
+                console.error(err);
+                status.textContent = "Error loading session: " + err.message;
+            }
+        });
+
+        // Initial load; on failure the user can still switch provider
+        await loadProvider();
+
+        // Texts (and metadata) from the imported file, else the textarea
+        const readInput = () => {
+            if (app.dataset) {
+                // Rows without text are skipped; metadata stays aligned with lines
+                const { rows, textColumn, metaColumns } = app.dataset;
+                const kept = rows.filter(row => String(row[textColumn] ?? '').trim());
+                return {
+                    lines: kept.map(row => String(row[textColumn]).trim()),
+                    metadata: metaColumns.length ? kept.map(row => Object.fromEntries(metaColumns.map(c => [c, row[c]]))) : null,
+                };
+            }
+            return { lines: input.value.split('\n').map(l => l.trim()).filter(l => l.length > 0), metadata: null };
+        };
+
+        // Backend benchmark: the selected model on every device × dtype
+        const benchmarkDevices = document.getElementById('benchmark-devices');
+        const benchmarkDtypes = document.getElementById('benchmark-dtypes');
+        const benchmarkRun = document.getElementById('benchmark-run');
+        const benchmarkCancel = document.getElementById('benchmark-cancel');
+        const benchmarkExport = document.getElementById('benchmark-export');
+        const benchmarkStatus = document.getElementById('benchmark-status');
+        const benchmarkTable = document.getElementById('benchmark-table');
+        let benchmark = null;
+        let benchmarkReport = null;
+
+        const checkboxes = (container, values, checked) => {
+            container.innerHTML = '';
+            values.forEach(value => {
+                const label = document.createElement('label');
+                label.className = 'inline-flex items-center gap-1 mr-2';
+                label.innerHTML = `<input type="checkbox" value="${value}" ${checked(value) ? 'checked' : ''}> ${value}`;
+                container.appendChild(label);
+            });
+        };
+        const checkedValues = (container) => Array.from(container.querySelectorAll('input:checked'), el => el.value);
+        const fillBenchmarkDtypes = () => {
+            const dtypes = getModelInfo(modelSelect.value).dtypes;
+            checkboxes(benchmarkDtypes, dtypes, dtype => dtype === dtypes[0] || dtype === 'fp32');
+        };
+        checkboxes(benchmarkDevices, await availableDevices(), () => true);
+        fillBenchmarkDtypes();
+        modelSelect.addEventListener('change', fillBenchmarkDtypes);
+
+        const drawBenchmark = (report) => {
+            const fixed = (value, digits = 1) => value === null || value === undefined ? '' : value.toFixed(digits);
+            const header = ['device', 'dtype', 'load ms', 'first ms', 'batch', 'p50 ms/item', 'p95 ms/item', 'items/s', 'max |Δ|', 'min cos'];
+            const rows = report.results.flatMap(r => {
+                const isReference = r.device === report.reference.device && r.dtype === report.reference.dtype;
+                const diff = isReference ? ['reference', ''] : r.diff ? [r.diff.maxAbs.toExponential(1), fixed(r.diff.minCosine, 5)] : ['', ''];
+                if (r.error || !r.batches.length) return [[r.device, r.dtype, fixed(r.loadMs, 0), fixed(r.firstMs), r.error || 'cancelled', '', '', '', '', '']];
+                return r.batches.map((b, i) => [
+                    i === 0 ? r.device : '', i === 0 ? r.dtype : '',
+                    i === 0 ? fixed(r.loadMs, 0) : '', i === 0 ? fixed(r.firstMs) : '',
+                    b.batchSize, fixed(b.p50Ms, 2), fixed(b.p95Ms, 2), fixed(b.itemsPerSecond),
+                    ...(i === 0 ? diff : ['', '']),
+                ]);
+            });
+            benchmarkTable.innerHTML = '';
+            [header, ...rows].forEach((cells, rowIndex) => {
+                const tr = benchmarkTable.insertRow();
+                cells.forEach(value => {
+                    const cell = document.createElement(rowIndex === 0 ? 'th' : 'td');
+                    cell.className = 'px-1 py-0.5 whitespace-nowrap';
+                    cell.textContent = value;
+                    tr.appendChild(cell);
+                });
+            });
+        };
+
+        benchmarkRun.addEventListener('click', async () => {
+            const texts = document.getElementById('benchmark-corpus').value === 'input' ? readInput().lines : BENCHMARK_CORPUS;
+            const batchSizes = document.getElementById('benchmark-batch-sizes').value
+                .split(',').map(v => parseInt(v, 10)).filter(v => v > 0);
+            try {
+                benchmark = new BackendBenchmark({
+                    modelId: modelSelect.value,
+                    texts,
+                    devices: checkedValues(benchmarkDevices),
+                    dtypes: checkedValues(benchmarkDtypes),
+                    batchSizes,
+                });
+            } catch (err) {
+                benchmarkStatus.textContent = err.message;
+                return;
+            }
+            benchmarkRun.disabled = true;
+            benchmarkExport.disabled = true;
+            benchmarkCancel.classList.remove('hidden');
+            benchmarkTable.innerHTML = '';
+            try {
+                benchmarkReport = await benchmark.run({
+                    onStatus: msg => { benchmarkStatus.textContent = msg; },
+                    onResult: (_, report) => drawBenchmark(report),
+                });
+                drawBenchmark(benchmarkReport);
+                benchmarkStatus.textContent = benchmarkReport.cancelled
+                    ? "Cancelled."
+                    : `Done: ${texts.length} texts, reference ${benchmarkReport.reference.device}/${benchmarkReport.reference.dtype}.`;
+                benchmarkExport.disabled = false;
+            } catch (err) {
+                console.error(err);
+                benchmarkStatus.textContent = "Error: " + err.message;
+            } finally {
+                benchmark = null;
+                benchmarkRun.disabled = false;
+                benchmarkCancel.classList.add('hidden');
+            }
+        });
+        benchmarkCancel.addEventListener('click', () => {
+            if (benchmark) benchmark.cancel();
+            benchmarkStatus.textContent = "Cancelling after the current batch...";
+        });
+        benchmarkExport.addEventListener('click', () => {
+            if (!benchmarkReport) return;
+            const name = benchmarkReport.model.split('/').pop();
+            downloadFile(`benchmark-${name}-${benchmarkReport.createdAt.slice(0, 10)}.json`, JSON.stringify(benchmarkReport, null, 2), 'application/json');
+        });
+
+        // Add items to the current map without refitting
+        const addBtn = document.getElementById('add-btn');
+        addBtn.addEventListener('click', async () => {
+            const { lines, metadata } = readInput();
+            if (!app.state || !app.state.reduced || lines.length === 0) return;
+            addBtn.disabled = true;
+            btn.disabled = true;
+            cancelBtn.disabled = false;
+            cancelBtn.style.display = 'inline-block';
+            status.textContent = `Adding ${lines.length} items...`;
+            try {
+                const { added, cancelled } = await app.addItems(lines, metadata);
+                refreshCachePanel();
+                status.textContent = `Added ${added} items; ${app.state.lines.length} items in ${topicCount(app.state.topics)} topics.` + (cancelled ? " (cancelled early)" : "");
+            } catch (err) {
+                console.error(err);
+                status.textContent = "Error: " + err.message;
+            } finally {
+                addBtn.disabled = false;
+                btn.disabled = false;
+                cancelBtn.style.display = 'none';
+            }
+        });
+
+        // Refit everything, after incremental additions or a new seed
+        const refitFromControls = async () => {
+            if (!app.state) return;
+            try {
+                const topics = await app.refit();
+                if (topics) status.textContent = `Visualizing ${app.state.lines.length} items in ${topicCount(topics)} topics.`;
+            } catch (err) {
+                console.error(err);
+                status.textContent = "Error: " + err.message;
+            }
+        };
+        document.getElementById('refit-btn').addEventListener('click', refitFromControls);
+        document.getElementById('seed').addEventListener('change', refitFromControls);
 
         btn.addEventListener('click', async () => {
-            const text = input.value.trim();
-            if (!text) return;
-            
-            const lines = text.split('\n').map(l => l.trim()).filter(l => l.length > 0);
-            if (lines.length === 0) return;
+            const input = readInput();
+            if (input.lines.length === 0) return;
+            app.updateMethodLimits(input.lines.length);
+            if (document.getElementById('reduce-method').selectedOptions[0].disabled) {
+                status.textContent = `t-SNE is limited to ${TSNE_MAX_POINTS} items; choose UMAP or PCA.`;
+                return;
+            }
 
             // UI Loading State
             btn.disabled = true;
             btnText.style.display = 'none';
             if (loader) loader.style.display = 'inline-block';
-            status.textContent = `Generating embeddings for ${lines.length} items...`;
+            cancelBtn.disabled = false;
+            cancelBtn.style.display = 'inline-block';
+            status.textContent = `Generating embeddings for ${input.lines.length} items...`;
+            app.embeddingManager.batchSize = Math.max(1, parseInt(batchInput.value, 10) || 16);
 
             try {
                 // 1. Generate Embeddings with Progress
@@ -327,104 +2127,57 @@ const app = {
                     progressBar.style.width = '0%';
                 }
                 
-                const onProgress = (idx, total, text) => {
+                const onProgress = (idx, total, text, cacheHits = 0) => {
                     const pct = Math.round((idx / total) * 100);
+                    const cached = cacheHits > 0 ? ` (${cacheHits} from cache)` : '';
                     if (progressBar) progressBar.style.width = `${pct}%`;
-                    if (progressLabel) progressLabel.textContent = `${pct}% - Generated for "${text.slice(0, 15)}..."`;
+                    if (progressLabel) progressLabel.textContent = `${pct}%${cached} - Generated for "${text.slice(0, 15)}..."`;
                 };
 
-                const embeddings = await app.embeddingManager.generateEmbeddings(lines, onProgress);
-                
-                // 2. Reduce Dimensions (384 -> 3)
-                const reduced = DimensionalityReducer.reduce(embeddings, 3);
+                const chunking = app.chunkingOptions();
+                const embedded = await embedDocuments(app.embeddingManager, input.lines, { chunking, metadata: input.metadata, onProgress });
+                const { lines, embeddings, metadata, cancelled } = embedded;
+                cancelBtn.style.display = 'none';
+                refreshCachePanel();
+
+                // A cancelled run keeps the vectors computed so far
+                if (cancelled && embeddings.length === 0) {
+                    status.textContent = "Cancelled before any embeddings were computed.";
+                    if (fileProgress) fileProgress.style.display = 'none';
+                    return;
+                }
+                const chunkNote = chunking ? ` (${embedded.chunks} chunks of ${embedded.documents} documents)` : '';
                 
-                // 3. Topic Modeling
+                // 2. Topic Modeling
                 status.textContent = "Clustering and identifying topics...";
                 await new Promise(r => setTimeout(r, 10)); // Yield UI
-                
-                // Note: topicModeler.run is sync but returns fast for small N.
-                const topics = app.topicModeler.run(lines, embeddings);
-                console.log("Topics found:", topics);
-
-                // Create a map of index -> { id, label }
-                // topics is array of { id, label, indices... }
-                // But wait, my topicModeler returns docs array, need to map back to original indices? 
-                // Ah, my run returned: { id, label, docs, embeddings (subset) }
-                // It grouped them. But I need them in original order for the 'reduced' array which corresponds to 'lines'.
-                // Or I can re-build the display data from the topic groups.
-                
-                // Actually my topicModeler implementation has `clusteredDocs` with `indices`. 
-                // Let's modify TopicModeler output slightly or map it back here.
-                // The current implementation returns:
-                // [ { id: 0, label: "...", docs: [...], embeddings: [...] }, ... ]
-                // It *doesn't* return the indices. I should check topicModeler.js code again.
-                // Wait, I WROTE it to use: clusteredDocs.get(label).indices.push(i);
-                // But the `results.push` object:
-                /*
-                results.push({
-                    id: label,
-                    label: topicLabel,
-                    keywords: keywords,
-                    docs: data.docs,
-                    embeddings: data.indices.map(i => embeddings[i]) 
-                });
-                */
-               // It's missing `indices` in the public output property list.
-               // I can reconstruct assignments because I know the input `lines` and the `docs` in result. 
-               // BUT duplicate lines would be ambiguous. 
-               // BETTER: Update topicModeler.js to include 'indices' in output OR map here.
-               // Let's rely on the input order matching. 
-               // Actually, `ml-kmeans` returns assignments array [clusterId, clusterId...].
-               // Maybe it's better to expose `getAssignments` or simply have `run` return an assignment array too?
-               
-               // For now, let's just make a flat array of size N.
-               // Since `run` groups them, I'd have to find which group each index belongs to.
-               // It's cleaner if I update `TopicModeler` to return the raw assignments or indices.
-               
-               // Let's hot-update the local Logic here or trust that I can just handle the grouped data?
-               // If I pass `reduced` points to `updatePoints`, I need them in same order as `lines`.
-               // The `topics` output groups them.
-               // I can iterate topics -> indices -> assign to array.
-               // BUT I DID NOT include indices in the output object in Step 71. 
-               
-               // HACK: I will just re-run cluster logic here? No, duplicate logic.
-               // FIX: I will use `run`'s output `docs` to match `lines`.
-               // Issue: Identical text lines.
-               // REAL FIX: I should have returned indices.
-               // Strategy: I will quickly modify topicModeler.js to include indices in the result object in the NEXT step if possible or assume I can do it now? 
-               // Actually, I can use the `ml-kmeans` directly here but that defeats the modularity.
-               
-               // Let's assume I will fix `topicModeler.js` to return `indices`. 
-               // I'll write the code assuming `indices` property exists in the topic object. 
-               // AND I will verify/fix topicModeler.js in next step.
-               
-               const topicAssignments = new Array(lines.length);
-               topics.forEach(topic => {
-                   // Topic has .indices calculated inside run()
-                   if(topic.indices) {
-                       topic.indices.forEach(idx => {
-                           topicAssignments[idx] = { id: topic.id, label: topic.label };
-                       });
-                   } else {
-                       // Fallback if indices missing (I need to fix this)
-                       // Try to match by text (imperfect)
-                        topic.docs.forEach(doc => {
-                           // This is risky for duplicates.
-                           // I'll fix topicModeler.js immediately after this tool call.
-                       });
-                   }
-               });
-
-                // 4. Update Visualizer
-                app.visualizer.updatePoints(reduced, lines, topicAssignments);
-                status.textContent = `Visualizing ${lines.length} items in ${topics.length} topics.`;
-                if (fileProgress) fileProgress.style.display = 'none';
+
+                app.state = {
+                    lines, embeddings, topics: [], topicAssignments: null, reduced: null, reducer: null, axisTitles: null,
+                    topicNames: {}, hiddenTopics: new Set(), selectedTopic: null, search: null, metadata,
+                    model: app.embeddingManager.describe(), addedFrom: null, drift: null, viewRevision: 0, selection: [], chunking,
+                    duplicates: null, keywordWeights: null,
+                };
+                app.drawSelection();
+                app.drawDuplicates();
+                searchResults.innerHTML = '';
+                refreshColorBy();
+                // Null when a cluster control changed meanwhile; that run labels the map and reports
+                const topics = await app.reclusterUnlessSuperseded();
+
+                // 3. Reduce Dimensions (384 -> 3) and draw
+                await app.reproject();
+                if (topics) {
+                    await app.refineLabels();
+                    status.textContent = `Visualizing ${lines.length} items in ${topicCount(topics)} topics${chunkNote}.` + (cancelled ? " (cancelled early)" : "");
+                }
 
             } catch (err) {
                 console.error(err);
                 status.textContent = "Error: " + err.message;
             } finally {
                 btn.disabled = false;
+                cancelBtn.style.display = 'none';
                 btnText.style.display = 'inline';
                 if (loader) loader.style.display = 'none';
             }
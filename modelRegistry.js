@@ -0,0 +1,91 @@
+/*
+ * Registry of embedding models known to work with transformers.js.
+ *
+ * pooling:   how token states become one vector ('mean' | 'cls' | 'last_token')
+ * normalize: L2-normalize the pooled vector
+ * prefix:    instruction prepended to inputs, per role; the corpus is embedded
+ *            as 'document', search queries as 'query'
+ * dtypes:    quantizations published for the model (first entry is the default)
+ */
+export const MODEL_REGISTRY = [
+    {
+        id: 'Xenova/all-MiniLM-L6-v2',
+        name: 'all-MiniLM-L6-v2',
+        dimensions: 384,
+        pooling: 'mean',
+        normalize: true,
+        prefix: null,
+        dtypes: ['q8', 'fp32', 'fp16', 'q4'],
+    },
+    {
+        id: 'Xenova/bge-small-en-v1.5',
+        name: 'BGE small (en) v1.5',
+        dimensions: 384,
+        pooling: 'cls',
+        normalize: true,
+        prefix: { query: 'Represent this sentence for searching relevant passages: ', document: '' },
+        dtypes: ['q8', 'fp32', 'fp16'],
+    },
+    {
+        id: 'Xenova/multilingual-e5-small',
+        name: 'multilingual-e5-small',
+        dimensions: 384,
+        pooling: 'mean',
+        normalize: true,
+        prefix: { query: 'query: ', document: 'passage: ' },
+        dtypes: ['q8', 'fp32', 'fp16'],
+    },
+    {
+        id: 'nomic-ai/nomic-embed-text-v1.5',
+        name: 'nomic-embed-text v1.5',
+        dimensions: 768,
+        pooling: 'mean',
+        normalize: true,
+        prefix: { query: 'search_query: ', document: 'search_document: ' },
+        dtypes: ['q8', 'fp32', 'fp16'],
+    },
+    {
+        id: 'onnx-community/Qwen3-Embedding-0.6B-ONNX',
+        name: 'Qwen3-Embedding 0.6B',
+        dimensions: 1024,
+        pooling: 'last_token',
+        normalize: true,
+        prefix: {
+            query: 'Instruct: Given a web search query, retrieve relevant passages that answer the query\nQuery: ',
+            document: '',
+        },
+        dtypes: ['q4f16', 'fp16', 'q8', 'fp32'],
+    },
+];
+
+export const DEFAULT_MODEL_ID = MODEL_REGISTRY[0].id;
+
+/**
+ * Looks up a registry entry. Unknown ids (e.g. typed in by hand) get
+ * mean pooling + normalization, which is what most sentence-transformers use.
+ * @param {string} modelId
+ */
+export function getModelInfo(modelId) {
+    const known = MODEL_REGISTRY.find(m => m.id === modelId);
+    if (known) return known;
+    return {
+        id: modelId,
+        name: modelId,
+        dimensions: null,
+        pooling: 'mean',
+        normalize: true,
+        prefix: null,
+        dtypes: ['q8', 'fp32'],
+    };
+}
+
+/**
+ * Prepends the model's instruction prefix for the given role, if any.
+ * @param {object} modelInfo - registry entry
+ * @param {string[]} texts
+ * @param {'query'|'document'} role
+ */
+export function applyPrefix(modelInfo, texts, role) {
+    const prefix = modelInfo.prefix && modelInfo.prefix[role];
+    return prefix ? texts.map(t => prefix + t) : texts;
+}
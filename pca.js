@@ -0,0 +1,153 @@
+import { createRandom } from './random.js';
+import { dot, norm, normalize } from './vectors.js';
+
+// Below this length a vector is numerically zero: no direction left to find
+const MIN_NORM = 1e-300;
+
+/**
+ * Principal component analysis with a reusable fit / transform model.
+ *
+ * Components are found by power iteration on the centered data
+ * (C v = Xᵀ(X v) / (N - 1)), so the D x D covariance matrix is never built.
+ * That keeps fitting 384- or 1024-d embeddings cheap.
+ *
+ * Degenerate inputs (a single vector, identical vectors, fewer points than
+ * components) have less than nComponents directions of variance. The missing
+ * components are left out: transform() returns 0 for those coordinates and
+ * their explained variance ratio is 0.
+ */
+export class PCA {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.nComponents=3]
+     * @param {number} [options.maxIterations=300]
+     * @param {number} [options.tolerance=1e-10] - stop when 1 - |cos(v_old, v_new)| falls below this
+     */
+    constructor({ nComponents = 3, maxIterations = 300, tolerance = 1e-10 } = {}) {
+        this.nComponents = nComponents;
+        this.maxIterations = maxIterations;
+        this.tolerance = tolerance;
+
+        this.mean = null;               // D
+        this.components = [];           // up to nComponents unit vectors of length D
+        this.explainedVariance = [];    // nComponents eigenvalues (0 for missing components)
+        this.explainedVarianceRatio = [];
+        this.totalVariance = 0;
+    }
+
+    /**
+     * @param {number[][]} data - N x D
+     * @returns {PCA} this
+     */
+    fit(data) {
+        if (!data || data.length === 0) throw new Error("PCA.fit needs at least one vector");
+        const N = data.length;
+        const D = data[0].length;
+
+        this.mean = new Array(D).fill(0);
+        for (const row of data) {
+            for (let d = 0; d < D; d++) this.mean[d] += row[d] / N;
+        }
+        const X = data.map(row => row.map((v, d) => v - this.mean[d]));
+
+        const denom = Math.max(N - 1, 1);
+        this.totalVariance = X.reduce((sum, row) => sum + row.reduce((s, v) => s + v * v, 0), 0) / denom;
+
+        this.components = [];
+        this.explainedVariance = [];
+        const random = createRandom(0); // fixed start vectors keep fits reproducible
+
+        for (let c = 0; c < this.nComponents; c++) {
+            const found = this._powerIteration(X, D, denom, random);
+            // Stop once the remaining variance is numerically zero
+            if (!found || found.eigenvalue <= this.totalVariance * 1e-12) break;
+            this.components.push(found.vector);
+            this.explainedVariance.push(found.eigenvalue);
+        }
+
+        while (this.explainedVariance.length < this.nComponents) this.explainedVariance.push(0);
+        this.explainedVarianceRatio = this.explainedVariance.map(v => (this.totalVariance > 0 ? v / this.totalVariance : 0));
+        return this;
+    }
+
+    // Largest eigenpair of the covariance restricted to the complement of the found components
+    _powerIteration(X, D, denom, random) {
+        let v = this._orthogonalize(Array.from({ length: D }, () => random() - 0.5));
+        if (!(norm(v) > MIN_NORM)) return null;
+        v = normalize(v);
+
+        let eigenvalue = 0;
+        for (let iter = 0; iter < this.maxIterations; iter++) {
+            // w = Xᵀ (X v) / (N - 1)
+            const w = new Array(D).fill(0);
+            for (const row of X) {
+                const proj = dot(row, v);
+                if (proj === 0) continue;
+                for (let d = 0; d < D; d++) w[d] += row[d] * proj;
+            }
+            for (let d = 0; d < D; d++) w[d] /= denom;
+
+            this._orthogonalize(w);
+            const length = norm(w);
+            if (!(length > MIN_NORM)) return null;
+            const next = normalize(w);
+
+            const converged = 1 - Math.abs(dot(v, next)) <= this.tolerance;
+            eigenvalue = length;
+            v = next;
+            if (converged) break;
+        }
+
+        // Deterministic sign: largest-magnitude entry positive
+        let maxIdx = 0;
+        for (let d = 1; d < D; d++) if (Math.abs(v[d]) > Math.abs(v[maxIdx])) maxIdx = d;
+        if (v[maxIdx] < 0) v = v.map(x => -x);
+
+        return { vector: v, eigenvalue };
+    }
+
+    _orthogonalize(v) {
+        for (const u of this.components) {
+            const p = dot(v, u);
+            for (let d = 0; d < v.length; d++) v[d] -= p * u[d];
+        }
+        return v;
+    }
+
+    /**
+     * Projects vectors onto the fitted components.
+     * @param {number[][]} data - M x D
+     * @returns {number[][]} M x nComponents
+     */
+    transform(data) {
+        if (!this.mean) throw new Error("PCA.transform called before fit");
+        return data.map(row => {
+            const centered = row.map((v, d) => v - this.mean[d]);
+            const out = this.components.map(u => dot(centered, u));
+            while (out.length < this.nComponents) out.push(0);
+            return out;
+        });
+    }
+
+    /**
+     * @param {number[][]} data
+     * @returns {number[][]}
+     */
+    fitTransform(data) {
+        return this.fit(data).transform(data);
+    }
+
+    /** Fitted state as plain data, for saving a session. */
+    toJSON() {
+        const { nComponents, mean, components, explainedVariance, explainedVarianceRatio, totalVariance } = this;
+        return { nComponents, mean, components, explainedVariance, explainedVarianceRatio, totalVariance };
+    }
+
+    /**
+     * @param {object} json - from toJSON()
+     * @returns {PCA}
+     */
+    static fromJSON(json) {
+        return Object.assign(new PCA({ nComponents: json.nComponents }), json);
+    }
+}
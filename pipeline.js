@@ -0,0 +1,186 @@
+import { EmbeddingManager } from './embeddingManager.js';
+import { DimensionalityReducer } from './dimensionalityReducer.js';
+import { TopicModeler } from './topicModeler.js';
+import { hashText } from './embeddingCache.js';
+import { embedDocuments } from './chunking.js';
+import { findDuplicateGroups, collapseDuplicates } from './duplicates.js';
+
+// JSON with sorted object keys, so equal settings always hash the same
+function canonicalJSON(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Short id for a run: same model, settings, seed and input → same fingerprint.
+ * @param {{ model: string, settings: object, seed: number|null, lines: string[] }} run
+ * @returns {Promise<{ id: string, inputHash: string }>} id is 12 hex characters
+ */
+export async function runFingerprint({ model, settings, seed, lines }) {
+    const inputHash = await hashText(lines.join('\n'));
+    const id = (await hashText(canonicalJSON({ model, settings, seed, inputHash }))).slice(0, 12);
+    return { id, inputHash };
+}
+
+// Drops unset values so the defaults below apply to them
+function defined(options) {
+    return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * The settings a run fingerprint covers: runPipeline's options with their
+ * defaults filled in. The web app builds the same options from its controls,
+ * so equal settings give equal fingerprints in both.
+ * @param {object} options - as for runPipeline (k, clustering, clusterOptions, keywordOptions,
+ *   reduction, targetDim, reductionParams, chunking, dedupe)
+ * @returns {object}
+ */
+export function runSettings({ k = null, clustering = 'kmeans', clusterOptions = {}, keywordOptions = {}, reduction = 'pca', targetDim = 3, reductionParams = {}, chunking = null, dedupe = null } = {}) {
+    return {
+        k,
+        clustering,
+        clusterOptions: { method: 'silhouette', minClusterSize: 5, minSamples: null, ...defined(clusterOptions) },
+        keywordOptions,
+        reduction,
+        targetDim,
+        reductionParams: { nNeighbors: 15, minDist: 0.1, perplexity: 30, iterations: null, ...defined(reductionParams) },
+        // Only when set, so unchunked runs keep their fingerprints
+        ...(chunking ? { chunking } : {}),
+        ...(dedupe !== null ? { dedupe } : {}),
+    };
+}
+
+/**
+ * Clustering and keywords, the middle step of runPipeline. The web app
+ * calls it too whenever it re-clusters.
+ * @param {TopicModeler} topicModeler - with the keyword options applied
+ * @param {string[]} lines
+ * @param {number[][]} embeddings
+ * @param {object} [options]
+ * @param {number|null} [options.k] - null picks k automatically (k-means only)
+ * @param {'kmeans'|'hdbscan'} [options.clustering='kmeans']
+ * @param {object} [options.clusterOptions] - forwarded to TopicModeler.cluster (method, minClusterSize, ...)
+ * @param {number|null} [options.seed]
+ * @param {object|null} [options.collapse] - from collapseDuplicates (duplicates.js)
+ * @param {(embeddings: number[][], k: number|null, options: object) => Promise<{ clusters: number[], kSelection: object|null }>} [options.cluster]
+ *   runs the clustering elsewhere (the web app's worker); default topicModeler.cluster
+ * @returns {Promise<{ topics: object[], assignments: number[], kSelection: object|null }>}
+ */
+export async function clusterTopics(topicModeler, lines, embeddings, { k = null, clustering = 'kmeans', clusterOptions = {}, seed = null, collapse = null, cluster = null } = {}) {
+    const options = { clustering, ...clusterOptions, seed, collapse };
+    const { clusters, kSelection } = cluster
+        ? await cluster(embeddings, k, options)
+        : topicModeler.cluster(embeddings, k, options);
+    const topics = topicModeler.buildTopics(lines, embeddings, clusters, {
+        keywordWeights: collapse ? collapse.keywordWeights : null,
+    });
+    return { topics, assignments: clusters, kSelection };
+}
+
+/**
+ * The projection step of runPipeline; the web app calls it to re-project.
+ * @param {number[][]} embeddings
+ * @param {object} [options] - reduction, targetDim, reductionParams and seed as for runPipeline
+ * @param {(done: number, total: number) => void} [options.onProgress]
+ * @returns {Promise<{ points: number[][], model: object|null, axisTitles: string[] }>} see DimensionalityReducer.project
+ */
+export function projectEmbeddings(embeddings, { reduction = 'pca', targetDim = 3, reductionParams = {}, seed = null, onProgress = null } = {}) {
+    return DimensionalityReducer.project(embeddings, {
+        method: reduction,
+        targetDim,
+        params: { ...reductionParams, seed },
+        onProgress,
+    });
+}
+
+/**
+ * The web app's embed → cluster → project flow without any DOM, for scripts
+ * and the CLI. The result has the shape dataExport.js serializes.
+ * @param {string[]} texts
+ * @param {object} [options]
+ * @param {EmbeddingManager} [options.embeddingManager] - defaults to transformers.js with the default model
+ * @param {number|null} [options.k] - null picks k automatically (k-means only)
+ * @param {'kmeans'|'hdbscan'} [options.clustering='kmeans']
+ * @param {object} [options.clusterOptions] - forwarded to TopicModeler.run (method, minClusterSize, ...)
+ * @param {object} [options.keywordOptions] - see TopicModeler.configure
+ * @param {'pca'|'umap'|'tsne'} [options.reduction='pca']
+ * @param {number} [options.targetDim=3]
+ * @param {object} [options.reductionParams] - see DimensionalityReducer.project
+ * @param {(message: string) => void} [options.onStatus]
+ * @param {(done: number, total: number) => void} [options.onProgress] - embedding progress
+ * @param {number|null} [options.seed] - seeds k-means and UMAP / t-SNE; null = random
+ * @param {object|null} [options.chunking] - split long texts before embedding, see embedDocuments in chunking.js
+ * @param {object[]|null} [options.metadata] - per text
+ * @param {number|null} [options.dedupe] - cosine threshold: near-duplicate groups are collapsed
+ *   to one representative before clustering (see duplicates.js); null = off
+ * @returns {Promise<{ lines: string[], embeddings: number[][], metadata: object[]|null, reduced: number[][],
+ *   axisTitles: string[], reducer: object|null, topics: object[], assignments: number[], kSelection: object|null,
+ *   duplicates: object[]|null, model: object, fingerprint: string }>} with chunks as output, lines and metadata are per chunk
+ */
+export async function runPipeline(texts, {
+    embeddingManager = new EmbeddingManager(),
+    k = null,
+    clustering = 'kmeans',
+    clusterOptions = {},
+    keywordOptions = {},
+    reduction = 'pca',
+    targetDim = 3,
+    reductionParams = {},
+    onStatus = () => {},
+    onProgress = null,
+    seed = null,
+    chunking = null,
+    metadata = null,
+    dedupe = null,
+} = {}) {
+    await embeddingManager.loadModel(onStatus);
+
+    onStatus(`Embedding ${texts.length} texts...`);
+    const embedded = await embedDocuments(embeddingManager, texts, { chunking, metadata, onProgress });
+    const { lines, embeddings } = embedded;
+    if (embeddings.length === 0) throw new Error("No embeddings were computed");
+    if (embedded.chunks !== embedded.documents) onStatus(`Embedded ${embedded.chunks} chunks of ${embedded.documents} texts.`);
+
+    let duplicates = null;
+    let collapse = null;
+    if (dedupe !== null) {
+        duplicates = findDuplicateGroups(embeddings, { threshold: dedupe });
+        collapse = collapseDuplicates(embeddings.length, duplicates);
+        onStatus(`Collapsed ${embeddings.length - collapse.representatives.length} near-duplicates in ${duplicates.length} groups.`);
+    }
+
+    onStatus("Clustering...");
+    const topicModeler = new TopicModeler(keywordOptions);
+    const { topics, assignments, kSelection } = await clusterTopics(topicModeler, lines, embeddings, { k, clustering, clusterOptions, seed, collapse });
+
+    onStatus(`Projecting with ${reduction}...`);
+    const { points, model: reducer, axisTitles } = await projectEmbeddings(embeddings, { reduction, targetDim, reductionParams, seed });
+
+    const model = embeddingManager.describe();
+    const { id: fingerprint } = await runFingerprint({
+        model: model.cacheKey,
+        settings: runSettings({
+            k, clustering, clusterOptions, keywordOptions: topicModeler.keywordOptions, reduction, targetDim, reductionParams, chunking, dedupe,
+        }),
+        seed,
+        lines,
+    });
+
+    return {
+        lines,
+        embeddings,
+        metadata: embedded.metadata,
+        reduced: points,
+        axisTitles,
+        reducer,
+        topics,
+        assignments,
+        kSelection,
+        duplicates,
+        model,
+        fingerprint,
+    };
+}
@@ -0,0 +1,27 @@
+/**
+ * Seedable uniform PRNG (mulberry32) returning floats in [0, 1).
+ * Falls back to Math.random when no seed is given.
+ * @param {number|null} [seed]
+ * @returns {() => number}
+ */
+export function createRandom(seed = null) {
+    if (seed === null || seed === undefined || Number.isNaN(seed)) return Math.random;
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Standard normal sample (Box-Muller) from a uniform source.
+ * @param {() => number} random
+ */
+export function randomNormal(random) {
+    let u = 0;
+    while (u === 0) u = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
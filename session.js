@@ -0,0 +1,111 @@
+import { PCA } from './pca.js';
+
+/*
+ * Session files: one JSON document with everything needed to redraw an
+ * analysis without the embedding model (texts, vectors, projection, topics
+ * and manual edits). Vectors are stored as base64 Float32 to keep files small.
+ */
+
+export const SESSION_FORMAT = 'webgpu-embeddings-session';
+export const SESSION_VERSION = 1;
+
+// Fields parseSession needs, with a check of their shape
+const REQUIRED_FIELDS = [
+    ['lines', Array.isArray],
+    ['assignments', Array.isArray],
+    ['reduced', Array.isArray],
+    ['topics', (v) => Array.isArray(v) && v.every(t => t && Array.isArray(t.indices))],
+    ['embeddings', (v) => v && Number.isInteger(v.count) && Number.isInteger(v.dims) && typeof v.data === 'string'],
+];
+
+/**
+ * @param {object} session
+ * @param {object} session.model - { provider, modelId, dtype, device, dimensions, cacheKey }
+ * @param {object} session.settings - UI control values and keyword options
+ * @param {string[]} session.lines
+ * @param {object[]|null} session.metadata
+ * @param {number[][]} session.embeddings
+ * @param {number[][]} session.reduced
+ * @param {string[]} session.axisTitles
+ * @param {object|null} session.reducer - fitted projection model (only PCA is saved; others fall back to neighbours)
+ * @param {number[]} session.assignments
+ * @param {object[]} session.topics
+ * @param {object|null} session.kSelection
+ * @param {object} session.edits - { topicNames, hiddenTopics: number[], selectedTopic, excludedDuplicates: number[] }
+ * @param {object|null} [session.duplicates] - { threshold, groups } from findDuplicateGroups (duplicates.js);
+ *   the group sizes are the clustering weights of a collapsed run
+ * @returns {string}
+ */
+export function serializeSession({ model, settings, lines, metadata, embeddings, reduced, axisTitles, reducer, assignments, topics, kSelection, edits, duplicates = null }) {
+    return JSON.stringify({
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        createdAt: new Date().toISOString(),
+        model,
+        settings,
+        lines,
+        metadata: metadata || null,
+        embeddings: encodeVectors(embeddings),
+        reduced,
+        axisTitles,
+        reducer: reducer instanceof PCA ? { type: 'pca', state: reducer.toJSON() } : null,
+        assignments,
+        // Per-topic embeddings are rebuilt from indices on load
+        topics: topics.map(({ embeddings: _, ...topic }) => topic),
+        kSelection: kSelection ? { method: kSelection.method, k: kSelection.k, candidates: kSelection.candidates } : null,
+        edits,
+        duplicates: duplicates ? { threshold: duplicates.threshold, groups: duplicates.groups } : null,
+    });
+}
+
+/**
+ * Parses and validates a session file.
+ * @param {string} text
+ * @returns {object} the fields given to serializeSession, with vectors decoded
+ *   and reducer restored (or null)
+ */
+export function parseSession(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Not a session file: ${err.message}`);
+    }
+    if (!data || data.format !== SESSION_FORMAT) throw new Error("Not a session file");
+    if (data.version > SESSION_VERSION) throw new Error(`Session version ${data.version} is newer than this app supports`);
+    const missing = REQUIRED_FIELDS.filter(([field, valid]) => !valid(data[field])).map(([field]) => field);
+    if (missing.length) throw new Error(`Not a valid session file (missing or malformed: ${missing.join(', ')})`);
+
+    const embeddings = decodeVectors(data.embeddings);
+    if (embeddings.length !== data.lines.length || data.assignments.length !== data.lines.length) {
+        throw new Error("Session file is inconsistent (texts, vectors and assignments differ in length)");
+    }
+    return {
+        ...data,
+        duplicates: data.duplicates || null,
+        embeddings,
+        reducer: data.reducer && data.reducer.type === 'pca' ? PCA.fromJSON(data.reducer.state) : null,
+        topics: data.topics.map(t => ({ ...t, embeddings: t.indices.map(i => embeddings[i]) })),
+    };
+}
+
+function encodeVectors(vectors) {
+    const dims = vectors.length ? vectors[0].length : 0;
+    const flat = new Float32Array(vectors.length * dims);
+    vectors.forEach((v, i) => flat.set(v, i * dims));
+    const bytes = new Uint8Array(flat.buffer);
+    let binary = '';
+    // Chunked so String.fromCharCode never gets too many arguments
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return { count: vectors.length, dims, data: btoa(binary) };
+}
+
+function decodeVectors({ count, dims, data }) {
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    const flat = new Float32Array(bytes.buffer);
+    return Array.from({ length: count }, (_, i) => Array.from(flat.subarray(i * dims, (i + 1) * dims)));
+}
@@ -0,0 +1,79 @@
+/*
+ * Stopword lists used by TopicModeler's keyword extraction.
+ * Lists are lowercase; register more with registerStopwords().
+ */
+const STOPWORDS = {
+    en: [
+        "a", "about", "above", "after", "again", "against", "all", "am", "an", "and", "any", "are", "aren't", "as", "at",
+        "be", "because", "been", "before", "being", "below", "between", "both", "but", "by",
+        "can't", "cannot", "could", "couldn't", "did", "didn't", "do", "does", "doesn't", "doing", "don't", "down", "during",
+        "each", "few", "for", "from", "further", "had", "hadn't", "has", "hasn't", "have", "haven't", "having", "he", "he'd", "he'll", "he's", "her", "here", "here's", "hers", "herself", "him", "himself", "his", "how", "how's",
+        "i", "i'd", "i'll", "i'm", "i've", "if", "in", "into", "is", "isn't", "it", "it's", "its", "itself",
+        "let's", "me", "more", "most", "mustn't", "my", "myself", "no", "nor", "not",
+        "of", "off", "on", "once", "only", "or", "other", "ought", "our", "ours", "ourselves", "out", "over", "own",
+        "same", "shan't", "she", "she'd", "she'll", "she's", "should", "shouldn't", "so", "some", "such",
+        "than", "that", "that's", "the", "their", "theirs", "them", "themselves", "then", "there", "there's", "these", "they", "they'd", "they'll", "they're", "they've", "this", "those", "through", "to", "too",
+        "under", "until", "up", "very",
+        "was", "wasn't", "we", "we'd", "we'll", "we're", "we've", "were", "weren't", "what", "what's", "when", "when's", "where", "where's", "which", "while", "who", "who's", "whom", "why", "why's", "with", "won't", "would", "wouldn't",
+        "you", "you'd", "you'll", "you're", "you've", "your", "yours", "yourself", "yourselves"
+    ],
+    es: [
+        "a", "al", "algo", "algunas", "algunos", "ante", "antes", "como", "con", "contra", "cual", "cuando", "de", "del", "desde", "donde", "durante",
+        "e", "el", "ella", "ellas", "ellos", "en", "entre", "era", "eran", "es", "esa", "esas", "ese", "eso", "esos", "esta", "estaba", "estado", "estar", "estas", "este", "esto", "estos", "está", "están",
+        "fue", "fueron", "ha", "había", "han", "hasta", "hay", "la", "las", "le", "les", "lo", "los", "me", "mi", "mis", "mucho", "muy",
+        "más", "mí", "nada", "ni", "no", "nos", "nosotros", "o", "os", "otra", "otras", "otro", "otros", "para", "pero", "poco", "por", "porque",
+        "que", "quien", "qué", "se", "sea", "ser", "si", "sido", "sin", "sobre", "son", "su", "sus", "sí", "también", "tanto", "te", "tiene", "tienen",
+        "todo", "todos", "tu", "tus", "tú", "un", "una", "uno", "unos", "vosotros", "y", "ya", "yo", "él"
+    ],
+    fr: [
+        "a", "ai", "au", "aux", "avec", "avait", "avoir", "c", "ce", "cela", "ces", "cet", "cette", "d", "dans", "de", "des", "du", "elle", "elles", "en", "est", "et", "eu",
+        "il", "ils", "j", "je", "l", "la", "le", "les", "leur", "leurs", "lui", "m", "ma", "mais", "me", "mes", "moi", "mon", "même", "n", "ne", "nos", "notre", "nous",
+        "on", "ont", "ou", "où", "par", "pas", "pour", "qu", "que", "qui", "s", "sa", "sans", "se", "ses", "si", "son", "sont", "sur", "t", "ta", "te", "tes", "toi", "ton",
+        "tous", "tout", "très", "tu", "un", "une", "vos", "votre", "vous", "y", "à", "été", "être"
+    ],
+    de: [
+        "aber", "alle", "als", "also", "am", "an", "auch", "auf", "aus", "bei", "bin", "bis", "bist", "da", "damit", "dann", "das", "dass", "dein", "dem", "den", "der", "des", "die", "dies", "diese", "dieser", "dir", "doch", "du",
+        "durch", "ein", "eine", "einem", "einen", "einer", "er", "es", "euch", "für", "hat", "hatte", "haben", "ich", "ihr", "ihre", "im", "in", "ist", "ja", "kann", "kein", "keine",
+        "man", "mein", "mich", "mir", "mit", "nach", "nicht", "noch", "nur", "ob", "oder", "ohne", "sehr", "sein", "sich", "sie", "sind", "so", "über", "um", "und", "uns", "unser",
+        "von", "vor", "war", "waren", "was", "weil", "wenn", "wer", "wie", "wir", "wird", "zu", "zum", "zur"
+    ],
+    pt: [
+        "a", "ao", "aos", "as", "até", "com", "como", "da", "das", "de", "dela", "dele", "do", "dos", "e", "ela", "elas", "ele", "eles", "em", "entre", "era", "essa", "esse", "esta", "está", "este", "eu",
+        "foi", "há", "isso", "isto", "já", "lhe", "mais", "mas", "me", "meu", "minha", "muito", "na", "nas", "não", "nem", "no", "nos", "nós", "num", "numa", "o", "os", "ou",
+        "para", "pela", "pelo", "por", "que", "quando", "se", "sem", "ser", "seu", "sua", "são", "também", "te", "tem", "um", "uma", "você", "à"
+    ],
+    it: [
+        "a", "ad", "al", "alla", "alle", "anche", "che", "chi", "ci", "come", "con", "da", "dal", "dalla", "dei", "del", "della", "delle", "di", "dove", "e", "è", "ed", "gli", "ha", "hanno", "i", "il", "in", "io",
+        "la", "le", "lei", "lo", "loro", "lui", "ma", "mi", "mio", "ne", "nel", "nella", "noi", "non", "o", "per", "perché", "più", "quale", "quando", "questa", "questo", "se", "si", "sono", "su", "sua", "suo",
+        "tra", "tu", "un", "una", "uno", "voi"
+    ],
+    nl: [
+        "aan", "al", "als", "bij", "dat", "de", "den", "der", "die", "dit", "door", "een", "en", "er", "had", "heb", "hebben", "heeft", "het", "hij", "hun", "ik", "in", "is", "je", "kan", "maar", "me", "met", "mij",
+        "naar", "niet", "nog", "nu", "of", "om", "onze", "ook", "op", "over", "te", "tot", "u", "uit", "van", "voor", "was", "wat", "we", "wel", "werd", "wie", "wij", "zal", "ze", "zich", "zij", "zijn", "zo"
+    ],
+};
+
+export const STOPWORD_LANGUAGES = Object.keys(STOPWORDS);
+
+/**
+ * Adds (or extends) a stopword list.
+ * @param {string} language - e.g. 'sv'
+ * @param {string[]} words
+ */
+export function registerStopwords(language, words) {
+    STOPWORDS[language] = [...(STOPWORDS[language] || []), ...words.map(w => w.toLowerCase())];
+    if (!STOPWORD_LANGUAGES.includes(language)) STOPWORD_LANGUAGES.push(language);
+}
+
+/**
+ * Union of the lists for the given languages.
+ * @param {string[]} languages
+ * @returns {Set<string>}
+ */
+export function getStopwords(languages) {
+    const set = new Set();
+    for (const lang of languages) {
+        for (const w of STOPWORDS[lang] || []) set.add(w);
+    }
+    return set;
+}
@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Stand-in for embeddingWorker.js: fp32 works, q4 fails to load, q8 never answers
+class FakeWorker {
+    constructor() {
+        this.listeners = [];
+    }
+
+    addEventListener(type, listener) {
+        if (type === 'message') this.listeners.push(listener);
+    }
+
+    postMessage(msg) {
+        const reply = (data) => setTimeout(() => this.listeners.forEach(l => l({ data })), 1);
+        if (msg.type === 'load') {
+            this.dtype = msg.dtype;
+            if (msg.dtype === 'q4') reply({ type: 'error', id: msg.id, message: 'Unsupported dtype q4' });
+            else if (msg.dtype === 'fp32') reply({ type: 'loaded', modelId: msg.modelId, dimensions: 2 });
+        } else if (msg.type === 'embed') {
+            reply({ type: 'result', id: msg.id, embeddings: msg.texts.map((_, i) => [1, i]), cancelled: false });
+        }
+    }
+
+    terminate() {}
+}
+
+let BackendBenchmark;
+before(async () => {
+    globalThis.Worker = FakeWorker;
+    ({ BackendBenchmark } = await import('../benchmark.js'));
+});
+after(() => {
+    delete globalThis.Worker;
+});
+
+test('a combination that fails or never loads is recorded and the run moves on', async () => {
+    const benchmark = new BackendBenchmark({
+        modelId: 'Xenova/all-MiniLM-L6-v2',
+        texts: ['a', 'b', 'c'],
+        devices: ['wasm'],
+        dtypes: ['fp32', 'q4', 'q8'],
+        batchSizes: [1, 2],
+        loadTimeoutMs: 50,
+    });
+    const report = await benchmark.run();
+    const byDtype = Object.fromEntries(report.results.map(r => [r.dtype, r]));
+
+    assert.equal(byDtype.fp32.error, null);
+    assert.deepEqual(byDtype.fp32.batches.map(b => b.batchSize), [1, 2]);
+    assert.equal(byDtype.fp32.diff.minCosine, 1);
+    assert.equal(byDtype.q4.error, 'Unsupported dtype q4');
+    assert.match(byDtype.q8.error, /did not load/);
+    assert.equal(report.cancelled, false);
+});
+
+test('cancel interrupts a load that never finishes', async () => {
+    const benchmark = new BackendBenchmark({
+        modelId: 'Xenova/all-MiniLM-L6-v2',
+        texts: ['a'],
+        devices: ['wasm'],
+        dtypes: ['q8', 'fp32'],
+    });
+    setTimeout(() => benchmark.cancel(), 20);
+    const report = await benchmark.run();
+    assert.equal(report.cancelled, true);
+    // The fp32 reference runs first and completes
+    assert.deepEqual(report.results.map(r => [r.dtype, r.error]), [['fp32', null], ['q8', 'Cancelled']]);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkText, chunkDocuments, aggregateVectors, embedDocuments } from '../chunking.js';
+
+const words = (n, prefix = 'w') => Array.from({ length: n }, (_, i) => `${prefix}${i}`).join(' ');
+
+test('sentences are packed up to the size, and longer sentences become windows', () => {
+    const text = 'One two three. Four five six. Seven eight nine ten eleven twelve thirteen.';
+    assert.deepEqual(chunkText(text, { strategy: 'sentences', size: 6 }), [
+        'One two three. Four five six.',
+        'Seven eight nine ten eleven twelve',
+        'thirteen.',
+    ]);
+});
+
+test('token windows overlap and cover the whole text', () => {
+    const chunks = chunkText(words(10), { strategy: 'tokens', size: 4, overlap: 2 });
+    assert.deepEqual(chunks, ['w0 w1 w2 w3', 'w2 w3 w4 w5', 'w4 w5 w6 w7', 'w6 w7 w8 w9']);
+    // Overlap is capped below the size, so windows always advance
+    assert.equal(chunkText(words(5), { strategy: 'tokens', size: 2, overlap: 9 }).length, 4);
+});
+
+test('paragraphs split on blank lines; CJK characters count as tokens', () => {
+    assert.deepEqual(chunkText('First para.\n\n  Second para.  \r\n\r\nThird.', { strategy: 'paragraphs' }), ['First para.', 'Second para.', 'Third.']);
+    assert.deepEqual(chunkText('東京大学です', { strategy: 'tokens', size: 3, overlap: 0 }), ['東京大', '学です']);
+});
+
+test('none, short and empty texts', () => {
+    assert.deepEqual(chunkText(words(300), { strategy: 'none' }), [words(300)]);
+    assert.deepEqual(chunkText('  short  ', { size: 128 }), ['short']);
+    assert.deepEqual(chunkText('   '), []);
+    assert.throws(() => chunkText('x', { strategy: 'pages' }), /Unknown chunking strategy/);
+});
+
+test('chunkDocuments tracks parents, positions and counts', () => {
+    const { chunks, parents, positions, counts } = chunkDocuments([words(5, 'a'), 'b', words(3, 'c')], { strategy: 'tokens', size: 3, overlap: 0 });
+    assert.deepEqual(chunks, ['a0 a1 a2', 'a3 a4', 'b', 'c0 c1 c2']);
+    assert.deepEqual(parents, [0, 0, 1, 2]);
+    assert.deepEqual(positions, [0, 1, 0, 0]);
+    assert.deepEqual(counts, [2, 1, 1]);
+});
+
+test('aggregateVectors: mean and max renormalize unit vectors, first keeps the first chunk', () => {
+    const vectors = [[1, 0], [0, 1], [0.6, 0.8]];
+    const parents = [0, 0, 1];
+    const mean = aggregateVectors(vectors, parents, 2, 'mean');
+    assert.ok(Math.abs(mean[0][0] - Math.SQRT1_2) < 1e-12 && Math.abs(mean[0][1] - Math.SQRT1_2) < 1e-12);
+    assert.deepEqual(mean[1], [0.6, 0.8]);
+    assert.deepEqual(aggregateVectors(vectors, parents, 2, 'first'), [[1, 0], [0.6, 0.8]]);
+    const max = aggregateVectors(vectors, parents, 2, 'max');
+    assert.ok(Math.abs(max[0][0] - Math.SQRT1_2) < 1e-12);
+    // Raw (not unit) vectors stay unnormalized
+    assert.deepEqual(aggregateVectors([[2, 0], [0, 2]], [0, 0], 1, 'mean'), [[1, 1]]);
+    assert.throws(() => aggregateVectors(vectors, parents, 2, 'median'), /Unknown aggregation/);
+});
+
+// Embeds each text as [length, 1]; stops after `limit` texts like a cancelled run
+function fakeManager(limit = Infinity) {
+    return {
+        async generateEmbeddings(texts) {
+            const embeddings = texts.slice(0, limit).map(t => [t.length, 1]);
+            return { embeddings, cancelled: embeddings.length < texts.length };
+        },
+    };
+}
+
+test('embedDocuments aggregates per document or returns chunks with their document', async () => {
+    const texts = [words(5, 'a'), 'b'];
+    const chunking = { strategy: 'tokens', size: 3, overlap: 0 };
+
+    const documents = await embedDocuments(fakeManager(), texts, { chunking: { ...chunking, aggregate: 'first' }, metadata: [{ t: 1 }, { t: 2 }] });
+    assert.deepEqual(documents.lines, texts);
+    assert.deepEqual(documents.embeddings, [[8, 1], [1, 1]]);
+    assert.deepEqual(documents.metadata, [{ t: 1 }, { t: 2 }]);
+    assert.equal(documents.chunks, 3);
+
+    const chunks = await embedDocuments(fakeManager(), texts, { chunking: { ...chunking, output: 'chunks' }, metadata: [{ t: 1 }, { t: 2 }], documentOffset: 10 });
+    assert.deepEqual(chunks.lines, ['a0 a1 a2', 'a3 a4', 'b']);
+    assert.deepEqual(chunks.metadata.map(m => [m.t, m.document, m.chunk]), [[1, 11, '1/2'], [1, 11, '2/2'], [2, 12, '1/1']]);
+});
+
+test('embedDocuments keeps only complete documents after a cancel', async () => {
+    const texts = ['a', words(5, 'b'), 'c'];
+    const result = await embedDocuments(fakeManager(2), texts, { chunking: { strategy: 'tokens', size: 3, overlap: 0 } });
+    assert.equal(result.cancelled, true);
+    assert.deepEqual(result.lines, ['a']);
+    assert.equal(result.documents, 1);
+    assert.equal(result.chunks, 1);
+
+    const unchunked = await embedDocuments(fakeManager(2), texts, { metadata: [{}, {}, {}] });
+    assert.deepEqual(unchunked.lines, ['a', words(5, 'b')]);
+    assert.equal(unchunked.metadata.length, 2);
+});
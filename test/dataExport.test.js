@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCSV, itemsCSV, vectorsCSV, topicsCSV, runJSON, projectorTSV } from '../dataExport.js';
+
+function run() {
+    return {
+        lines: ['plain text', 'with, comma', 'say "hi"\nthen\tleave'],
+        embeddings: [[0.5, 1], [0, -1], [0.25, 2]],
+        reduced: [[1, 2], [3, 4], [5, 6]],
+        assignments: [0, -1, 0],
+        metadata: [{ team: 'a' }, { team: 'b,c' }, { team: 'd\te' }],
+        topics: [
+            { id: -1, label: 'Outliers', keywords: ['comma'], indices: [1], representativeDocs: [] },
+            { id: 0, label: 'text, hi', keywords: ['text', 'hi'], indices: [0, 2], representativeDocs: [{ index: 0, text: 'plain text', score: 1 }] },
+        ],
+        model: { modelId: 'm' },
+        axisTitles: ['PC1', 'PC2'],
+    };
+}
+
+test('toCSV quotes commas, quotes and newlines and leaves other fields bare', () => {
+    const csv = toCSV(['a', 'b'], [{ a: 'x,y', b: 'say "hi"' }, { a: 'line\nbreak', b: null }, { a: 1, b: 'plain' }]);
+    assert.equal(csv, 'a,b\r\n"x,y","say ""hi"""\r\n"line\nbreak",\r\n1,plain\r\n');
+});
+
+test('itemsCSV columns follow the header, coordinates before metadata', () => {
+    const [header, ...rows] = itemsCSV(run()).split('\r\n');
+    assert.equal(header, 'index,text,topic_id,topic_label,x,y,team');
+    assert.equal(rows[0], '0,plain text,0,"text, hi",1,2,a');
+    assert.equal(rows[1], '1,"with, comma",-1,Outliers,3,4,"b,c"');
+    // The quoted newline keeps the third item in one record
+    assert.ok(itemsCSV(run()).includes('2,"say ""hi""\nthen\tleave",0,"text, hi",5,6,d\te\r\n'));
+});
+
+test('vectorsCSV has one column per dimension', () => {
+    assert.equal(vectorsCSV(run()), 'index,d0,d1\r\n0,0.5,1\r\n1,0,-1\r\n2,0.25,2\r\n');
+});
+
+test('topicsCSV includes the outlier topic row', () => {
+    assert.equal(topicsCSV(run()), 'id,label,size,keywords\r\n-1,Outliers,1,comma\r\n0,"text, hi",2,text; hi\r\n');
+});
+
+test('runJSON carries items, topics and the model', () => {
+    const data = JSON.parse(runJSON(run()));
+    assert.deepEqual(data.model, { modelId: 'm' });
+    assert.deepEqual(data.axisTitles, ['PC1', 'PC2']);
+    assert.deepEqual(data.items[1], {
+        index: 1, text: 'with, comma', topic: -1, topicLabel: 'Outliers', coordinates: [3, 4], embedding: [0, -1], metadata: { team: 'b,c' },
+    });
+    assert.deepEqual(data.topics.map(t => [t.id, t.size]), [[-1, 1], [0, 2]]);
+});
+
+test('projectorTSV replaces tabs and newlines inside cells', () => {
+    const { vectors, metadata } = projectorTSV(run());
+    assert.equal(vectors, '0.5\t1\n0\t-1\n0.25\t2\n');
+    assert.equal(metadata, 'text\ttopic_id\ttopic_label\tteam\nplain text\t0\ttext, hi\ta\nwith, comma\t-1\tOutliers\tb,c\nsay "hi" then leave\t0\ttext, hi\td e\n');
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFile, guessTextColumn } from '../dataImport.js';
+
+test('CSV: quoted fields with commas, quotes, newlines and CRLF', () => {
+    const csv = 'id,body\r\n1,"Hello, ""world""\nsecond line"\r\n2,plain\r\n';
+    const { columns, rows } = parseFile('tickets.csv', csv);
+    assert.deepEqual(columns, ['id', 'body']);
+    assert.deepEqual(rows, [
+        { id: '1', body: 'Hello, "world"\nsecond line' },
+        { id: '2', body: 'plain' },
+    ]);
+});
+
+test('CSV: blank and repeated headers get distinct names, short rows are padded', () => {
+    const { columns, rows } = parseFile('a.CSV', 'a,,a\n1\n\n');
+    assert.deepEqual(columns, ['a', 'column 2', 'a (2)']);
+    assert.deepEqual(rows, [{ a: '1', 'column 2': '', 'a (2)': '' }]);
+});
+
+test('TSV uses tabs', () => {
+    const { rows } = parseFile('x.tsv', 'text\tlabel\nhi, there\tgreeting\n');
+    assert.deepEqual(rows, [{ text: 'hi, there', label: 'greeting' }]);
+});
+
+test('JSON Lines and JSON arrays; nested values become JSON strings', () => {
+    const jsonl = parseFile('x.jsonl', '{"text":"a","tags":["x"]}\n\n{"text":"b","score":2}\n');
+    assert.deepEqual(jsonl.columns, ['text', 'tags', 'score']);
+    assert.deepEqual(jsonl.rows, [{ text: 'a', tags: '["x"]' }, { text: 'b', score: '2' }]);
+
+    const json = parseFile('x.json', '["one", {"text": "two"}]');
+    assert.deepEqual(json.rows, [{ text: 'one' }, { text: 'two' }]);
+    assert.throws(() => parseFile('x.json', '{"text": "one"}'), /JSON array/);
+    assert.throws(() => parseFile('x.jsonl', '{"text": "a"}\n{broken'), /line 2/);
+});
+
+test('plain text: paragraphs when there are blank lines, else lines', () => {
+    assert.deepEqual(parseFile('notes.txt', 'first\nstill first\n\nsecond\n').rows, [{ text: 'first\nstill first' }, { text: 'second' }]);
+    assert.deepEqual(parseFile('notes', 'a\r\nb\r\n').rows, [{ text: 'a' }, { text: 'b' }]);
+});
+
+test('guessTextColumn picks the longest column', () => {
+    const table = parseFile('t.csv', 'id,body,tag\n1,a long complaint about shipping,x\n2,another long one,y\n');
+    assert.equal(guessTextColumn(table), 'body');
+    assert.equal(guessTextColumn({ columns: [], rows: [] }), null);
+});
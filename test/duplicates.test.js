@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findDuplicateGroups, collapseDuplicates } from '../duplicates.js';
+
+const at = (degrees) => [Math.cos(degrees * Math.PI / 180), Math.sin(degrees * Math.PI / 180)];
+
+test('groups near-identical documents, largest first, representative in the middle', () => {
+    const embeddings = [at(0), at(90), at(1), at(2), at(91), at(180)];
+    const groups = findDuplicateGroups(embeddings, { threshold: 0.999 });
+    assert.equal(groups.length, 2);
+    const [first, second] = groups;
+    assert.equal(first.representative, 2);
+    assert.deepEqual(first.members.map(m => m.index), [2, 0, 3]);
+    assert.equal(first.members[0].score, 1);
+    assert.ok(Math.abs(first.members[1].score - Math.cos(Math.PI / 180)) < 1e-12);
+    assert.equal(first.minScore, Math.min(...first.members.map(m => m.score)));
+    assert.deepEqual(second.members.map(m => m.index).sort(), [1, 4]);
+});
+
+test('linking is transitive and minScore shows the chaining', () => {
+    // Neighbours are 2° apart (cos ≈ 0.9994); the ends are 4° apart (cos ≈ 0.9976)
+    const groups = findDuplicateGroups([at(0), at(2), at(4)], { threshold: 0.999 });
+    assert.equal(groups.length, 1);
+    assert.equal(groups[0].representative, 1);
+    assert.ok(groups[0].minScore > 0.999);
+    // Scaling a vector does not change its cosine similarity
+    assert.equal(findDuplicateGroups([[1, 0], [5, 0], [0, 0]]).length, 1);
+    assert.deepEqual(findDuplicateGroups([[1, 0], [0, 1]]), []);
+});
+
+test('collapseDuplicates maps members to representatives and splits keyword weight', () => {
+    const groups = [
+        { representative: 2, members: [{ index: 2, score: 1 }, { index: 0, score: 0.99 }, { index: 3, score: 0.98 }] },
+        { representative: 1, members: [{ index: 1, score: 1 }, { index: 4, score: 0.97 }] },
+    ];
+    const collapse = collapseDuplicates(6, groups);
+    assert.deepEqual(collapse.representatives, [1, 2, 5]);
+    assert.deepEqual(collapse.representativeOf, [2, 1, 2, 2, 1, 5]);
+    assert.deepEqual(collapse.keywordWeights, [1 / 3, 1 / 2, 1 / 3, 1 / 3, 1 / 2, 1]);
+
+    // Groups left out stay expanded
+    const partial = collapseDuplicates(6, groups.slice(1));
+    assert.deepEqual(partial.representatives, [0, 1, 2, 3, 5]);
+    assert.deepEqual(collapseDuplicates(3, []).keywordWeights, [1, 1, 1]);
+});
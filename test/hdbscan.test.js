@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hdbscan } from '../hdbscan.js';
+import { createRandom } from '../random.js';
+
+// Tight blobs of the given sizes around well separated centers
+function blobs(sizes, seed = 1) {
+    const random = createRandom(seed);
+    const points = [];
+    sizes.forEach((size, b) => {
+        for (let i = 0; i < size; i++) points.push([b * 10 + random() * 0.5, random() * 0.5]);
+    });
+    return points;
+}
+
+test('separates dense blobs, numbering clusters by size', () => {
+    const { labels, stabilities } = hdbscan(blobs([12, 20, 8]), { minClusterSize: 5 });
+    assert.equal(stabilities.length, 3);
+    assert.ok(labels.slice(0, 12).every(l => l === 1));
+    assert.ok(labels.slice(12, 32).every(l => l === 0));
+    assert.ok(labels.slice(32).every(l => l === 2));
+});
+
+test('labels a far away point as noise', () => {
+    const points = [...blobs([10, 10]), [500, 500]];
+    const { labels } = hdbscan(points, { minClusterSize: 5 });
+    assert.equal(labels[points.length - 1], -1);
+    assert.equal(new Set(labels.slice(0, 20)).size, 2);
+});
+
+test('duplicate points get finite stabilities', () => {
+    const points = [...Array.from({ length: 6 }, () => [1, 1]), ...Array.from({ length: 6 }, () => [9, 9])];
+    const { labels, stabilities } = hdbscan(points, { minClusterSize: 3 });
+    assert.ok(stabilities.every(Number.isFinite));
+    assert.notEqual(labels[0], labels[6]);
+});
+
+test('too few points are all noise', () => {
+    assert.deepEqual(hdbscan([[0, 0]]).labels, [-1]);
+    assert.deepEqual(hdbscan([[0, 0], [1, 1], [2, 2]], { minClusterSize: 5 }).labels, [-1, -1, -1]);
+    assert.deepEqual(hdbscan([]).labels, []);
+});
+
+test('a weighted point clusters like that many copies', () => {
+    const points = [...blobs([10, 10]), [5, 5]];
+    const copies = [...points, ...Array.from({ length: 7 }, () => [5, 5])];
+    const weights = points.map((_, i) => (i === points.length - 1 ? 8 : 1));
+    const expanded = hdbscan(copies, { minClusterSize: 5 }).labels;
+    const weighted = hdbscan(points, { minClusterSize: 5, weights }).labels;
+    assert.deepEqual(weighted, expanded.slice(0, points.length));
+    assert.equal(new Set(weighted).size, 3);
+});
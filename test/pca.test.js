@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PCA } from '../pca.js';
+import { createRandom } from '../random.js';
+
+const close = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+// Points spread along known orthogonal directions with decreasing variance, plus an offset
+function stretched(N, D, scales, seed = 1) {
+    const random = createRandom(seed);
+    return Array.from({ length: N }, () => {
+        const row = new Array(D).fill(10);
+        scales.forEach((scale, d) => { row[d] += scale * (random() - 0.5); });
+        return row;
+    });
+}
+
+test('finds the directions of largest variance, sorted, on centered data', () => {
+    const data = stretched(200, 6, [10, 4, 1]);
+    const pca = new PCA({ nComponents: 3 }).fit(data);
+
+    pca.components.forEach((u, c) => {
+        close(Math.abs(u[c]), 1, 1e-2);
+        close(u.reduce((s, x) => s + x * x, 0), 1);
+    });
+    assert.ok(pca.explainedVariance[0] > pca.explainedVariance[1]);
+    assert.ok(pca.explainedVariance[1] > pca.explainedVariance[2]);
+    close(pca.explainedVarianceRatio.reduce((a, b) => a + b, 0), 1, 1e-9);
+
+    // Centering: the projected points have zero mean
+    const points = pca.transform(data);
+    for (let c = 0; c < 3; c++) close(points.reduce((s, p) => s + p[c], 0) / points.length, 0, 1e-9);
+});
+
+test('components are orthonormal and the fit is reproducible', () => {
+    const random = createRandom(7);
+    const data = Array.from({ length: 50 }, () => Array.from({ length: 20 }, () => random()));
+    const a = new PCA({ nComponents: 3 }).fit(data);
+    const b = new PCA({ nComponents: 3 }).fit(data);
+    assert.deepEqual(a.components, b.components);
+    for (let i = 0; i < 3; i++) {
+        for (let j = i + 1; j < 3; j++) close(a.components[i].reduce((s, x, d) => s + x * a.components[j][d], 0), 0);
+    }
+});
+
+test('a single vector projects to the origin', () => {
+    const pca = new PCA({ nComponents: 3 }).fit([[1, 2, 3, 4]]);
+    assert.equal(pca.components.length, 0);
+    assert.deepEqual(pca.transform([[1, 2, 3, 4]]), [[0, 0, 0]]);
+    assert.deepEqual(pca.explainedVarianceRatio, [0, 0, 0]);
+});
+
+test('identical vectors have no components and finite output', () => {
+    const data = Array.from({ length: 5 }, () => [0.5, -1, 2]);
+    const pca = new PCA({ nComponents: 2 }).fit(data);
+    assert.equal(pca.components.length, 0);
+    for (const point of pca.fitTransform(data)) assert.deepEqual(point, [0, 0]);
+});
+
+test('fewer points than components pads the missing coordinates with 0', () => {
+    const pca = new PCA({ nComponents: 3 }).fit([[0, 0, 0, 0], [1, 1, 0, 0]]);
+    assert.equal(pca.components.length, 1);
+    const points = pca.transform([[0, 0, 0, 0], [1, 1, 0, 0]]);
+    points.forEach(p => { assert.equal(p.length, 3); assert.equal(p[1], 0); assert.equal(p[2], 0); });
+    close(Math.abs(points[0][0] - points[1][0]), Math.SQRT2);
+    close(pca.explainedVarianceRatio[0], 1);
+});
+
+test('rejects empty input and transform before fit', () => {
+    assert.throws(() => new PCA().fit([]), /at least one vector/);
+    assert.throws(() => new PCA().transform([[1]]), /before fit/);
+});
+
+test('toJSON / fromJSON round trip transforms the same', () => {
+    const data = stretched(30, 4, [3, 2, 1]);
+    const pca = new PCA({ nComponents: 2 }).fit(data);
+    const restored = PCA.fromJSON(JSON.parse(JSON.stringify(pca.toJSON())));
+    assert.deepEqual(restored.transform(data), pca.transform(data));
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runPipeline, runSettings, runFingerprint, clusterTopics } from '../pipeline.js';
+import { TopicModeler } from '../topicModeler.js';
+
+// Stands in for EmbeddingManager: two directions, by the first word
+function fakeManager() {
+    return {
+        async loadModel(onStatus) { onStatus('ready'); },
+        async generateEmbeddings(texts) {
+            return { embeddings: texts.map((t, i) => (t.startsWith('cat') ? [1, 0.01 * i, 0] : [0, 0.01 * i, 1])), cancelled: false };
+        },
+        describe: () => ({ provider: 'fake', modelId: 'fake', cacheKey: 'fake' }),
+    };
+}
+
+const texts = ['cat naps', 'cat purrs', 'cat eats', 'dog barks', 'dog runs', 'dog digs'];
+
+test('runSettings fills defaults, so the web app and the CLI describe a run alike', () => {
+    const keywordOptions = new TopicModeler().keywordOptions;
+    const cli = runSettings({ k: null, clustering: 'kmeans', clusterOptions: { minClusterSize: 5 }, keywordOptions, reduction: 'pca', targetDim: 3, reductionParams: {} });
+    // The web app reads every control, leaving empty ones undefined or null
+    const web = runSettings({
+        k: null, clustering: 'kmeans', keywordOptions, reduction: 'pca', targetDim: 3,
+        clusterOptions: { method: 'silhouette', minClusterSize: 5, minSamples: null },
+        reductionParams: { nNeighbors: 15, minDist: 0.1, perplexity: 30, iterations: undefined },
+        chunking: null, dedupe: null,
+    });
+    assert.deepEqual(web, cli);
+    assert.notDeepEqual(runSettings({ dedupe: 0.9 }), runSettings({}));
+});
+
+test('runPipeline runs the shared steps and fingerprints with runSettings', async () => {
+    const result = await runPipeline(texts, { embeddingManager: fakeManager(), k: 2, seed: 1, reduction: 'pca', targetDim: 2 });
+    const [cat, dog] = [result.assignments[0], result.assignments[3]];
+    assert.notEqual(cat, dog);
+    assert.deepEqual(result.assignments, [cat, cat, cat, dog, dog, dog]);
+    assert.equal(result.reduced[0].length, 2);
+
+    const { id } = await runFingerprint({
+        model: 'fake',
+        settings: runSettings({ k: 2, keywordOptions: new TopicModeler().keywordOptions, targetDim: 2 }),
+        seed: 1,
+        lines: texts,
+    });
+    assert.equal(result.fingerprint, id);
+});
+
+test('clusterTopics can cluster elsewhere, as the web app does in a worker', async () => {
+    const modeler = new TopicModeler();
+    const embeddings = texts.map((_, i) => [i, 0]);
+    const calls = [];
+    const cluster = async (vectors, k, options) => {
+        calls.push({ k, options });
+        return { clusters: [0, 0, 0, 1, 1, 1], kSelection: null };
+    };
+    const { topics, assignments } = await clusterTopics(modeler, texts, embeddings, {
+        k: 2, clusterOptions: { method: 'elbow' }, seed: 7, cluster,
+    });
+    assert.deepEqual(assignments, [0, 0, 0, 1, 1, 1]);
+    assert.deepEqual(calls, [{ k: 2, options: { clustering: 'kmeans', method: 'elbow', seed: 7, collapse: null } }]);
+    assert.equal(topics[0].keywords[0], 'cat naps');
+    assert.ok(!topics[0].keywords.some(k => k.includes('dog')));
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { serializeSession, parseSession, SESSION_FORMAT } from '../session.js';
+import { PCA } from '../pca.js';
+
+function session() {
+    const embeddings = [[0.5, -0.25, 1], [0.125, 0, -1], [2, 3, 4]];
+    const reducer = new PCA({ nComponents: 2 }).fit(embeddings);
+    return {
+        model: { provider: 'transformers', modelId: 'Xenova/all-MiniLM-L6-v2', dtype: 'q8', dimensions: 3, cacheKey: 'k' },
+        settings: { controls: { seed: '42' }, keywords: { topN: 5 } },
+        lines: ['a', 'b', 'c'],
+        metadata: [{ team: 'x' }, { team: 'y' }, { team: 'x' }],
+        embeddings,
+        reduced: reducer.transform(embeddings),
+        axisTitles: ['PC1', 'PC2'],
+        reducer,
+        assignments: [0, 1, 0],
+        topics: [
+            { id: 0, label: 'a_c', keywords: ['a'], indices: [0, 2], embeddings: [embeddings[0], embeddings[2]] },
+            { id: 1, label: 'b', keywords: ['b'], indices: [1], embeddings: [embeddings[1]] },
+        ],
+        kSelection: { method: 'silhouette', k: 2, candidates: [], clusters: [0, 1, 0] },
+        edits: { topicNames: { 1: 'Bees' }, hiddenTopics: [0], selectedTopic: 1, excludedDuplicates: [] },
+        duplicates: { threshold: 0.9, groups: [{ representative: 0, members: [{ index: 0, score: 1 }, { index: 2, score: 0.95 }], minScore: 0.95 }] },
+    };
+}
+
+test('round trip keeps texts, vectors, topics, edits and the PCA model', () => {
+    const original = session();
+    const text = serializeSession(original);
+    const restored = parseSession(text);
+
+    assert.equal(JSON.parse(text).format, SESSION_FORMAT);
+    assert.deepEqual(restored.lines, original.lines);
+    assert.deepEqual(restored.metadata, original.metadata);
+    // Values chosen to be exact in Float32
+    assert.deepEqual(restored.embeddings, original.embeddings);
+    assert.deepEqual(restored.assignments, original.assignments);
+    assert.deepEqual(restored.edits, original.edits);
+    assert.deepEqual(restored.duplicates, original.duplicates);
+    assert.deepEqual(restored.topics[0].embeddings, [original.embeddings[0], original.embeddings[2]]);
+    assert.ok(restored.reducer instanceof PCA);
+    assert.deepEqual(restored.reducer.transform([[1, 1, 1]]), original.reducer.transform([[1, 1, 1]]));
+    // Only the score curve is kept
+    assert.equal(restored.kSelection.clusters, undefined);
+});
+
+test('rejects other files, newer versions and inconsistent sessions', () => {
+    assert.throws(() => parseSession('not json'), /Not a session file/);
+    assert.throws(() => parseSession('{"format":"something else"}'), /Not a session file/);
+
+    const data = JSON.parse(serializeSession(session()));
+    assert.throws(() => parseSession(JSON.stringify({ ...data, version: data.version + 1 })), /newer/);
+    assert.throws(() => parseSession(JSON.stringify({ ...data, assignments: [0, 1] })), /inconsistent/);
+    for (const field of ['lines', 'assignments', 'embeddings']) {
+        const { [field]: _, ...partial } = data;
+        assert.throws(() => parseSession(JSON.stringify(partial)), new RegExp(`Not a valid session file .*${field}`));
+    }
+    assert.throws(() => parseSession(JSON.stringify({ ...data, embeddings: 'AAAA' })), /Not a valid session file/);
+});
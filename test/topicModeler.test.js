@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TopicModeler } from '../topicModeler.js';
+
+const texts = [
+    'dogs bark loudly at night', 'the dogs bark loudly', 'dogs bark at night again',
+    'cat sat on the mat', 'cat sat quietly on a mat', 'the cat sat by the oven',
+];
+const embeddings = texts.map((_, i) => [i < 3 ? 1 : 0, i < 3 ? 0 : 1]);
+
+test('keywords never repeat a word and labels join the top three with commas', () => {
+    const topics = new TopicModeler().buildTopics(texts, embeddings, [0, 0, 0, 1, 1, 1]);
+    for (const topic of topics) {
+        const words = topic.keywords.flatMap(k => k.split(' '));
+        assert.equal(new Set(words).size, words.length, topic.keywords.join(' / '));
+        assert.equal(topic.label, topic.keywords.slice(0, 3).join(', '));
+    }
+    assert.equal(topics[0].keywords[0], 'dogs bark');
+});
+
+test('re-ranked keywords use the same label format and skip overlapping phrases', async () => {
+    const modeler = new TopicModeler();
+    const topics = modeler.buildTopics(texts, embeddings, [0, 0, 0, 1, 1, 1]);
+    // Every phrase equally relevant: MMR order alone decides
+    await modeler.rerankKeywords(topics, async (phrases) => phrases.map(() => [1, 1]), { diversity: 0 });
+    for (const topic of topics) {
+        const words = topic.keywords.flatMap(k => k.split(' '));
+        assert.equal(new Set(words).size, words.length, topic.keywords.join(' / '));
+        assert.equal(topic.label, topic.keywords.slice(0, 3).join(', '));
+    }
+});
+
+test('a collapsed group counts with its size in k-means', () => {
+    const modeler = new TopicModeler();
+    const points = [[0, 0], [4.2, 0], [6, 0], [10, 0]];
+    const weights = [20, 1, 1, 1];
+    // The heavy group pulls its centroid toward itself
+    assert.deepEqual(modeler._cluster(points, 1, 1).centroids, [[5.05, 0]]);
+    const [[x]] = modeler._cluster(points, 1, 1, weights).centroids;
+    assert.ok(Math.abs(x - 20.2 / 23) < 1e-12);
+    // ...so the point at 4.2 is now closer to the right-hand cluster
+    const collapse = { representatives: [0, 1, 2, 3], weights, representativeOf: [0, 1, 2, 3], keywordWeights: [1, 1, 1, 1] };
+    for (const seed of [1, 2, 3]) {
+        assert.deepEqual(modeler.cluster(points, 2, { seed, collapse }).clusters, [0, 1, 1, 1]);
+    }
+});
+
+// Tight blobs on a circle of radius 10, `size` points each
+function blobs(count, size) {
+    const points = [];
+    for (let b = 0; b < count; b++) {
+        const angle = (2 * Math.PI * b) / count;
+        for (let i = 0; i < size; i++) points.push([10 * Math.cos(angle) + (i % 5) * 0.05, 10 * Math.sin(angle) + Math.floor(i / 5) * 0.05]);
+    }
+    return points;
+}
+
+test('selectK finds the number of well separated blobs by silhouette and by elbow', () => {
+    const modeler = new TopicModeler();
+    for (const count of [3, 4, 5]) {
+        const points = blobs(count, 20);
+        for (const method of ['silhouette', 'elbow']) {
+            const result = modeler.selectK(points, { method, seed: 1 });
+            assert.equal(result.k, count, `${method} on ${count} blobs`);
+            assert.equal(new Set(result.clusters).size, count);
+            assert.ok(result.candidates.length > 0);
+        }
+    }
+});
+
+test('selectK on fewer than three points or identical vectors', () => {
+    const modeler = new TopicModeler();
+    assert.deepEqual(modeler.selectK([[1, 2]]), { method: 'silhouette', k: 1, candidates: [], clusters: [0] });
+    const two = modeler.selectK([[1, 2], [3, 4]], { method: 'elbow' });
+    assert.equal(two.k, 2);
+    assert.deepEqual([...two.clusters].sort(), [0, 1]);
+    const same = modeler.selectK(Array.from({ length: 10 }, () => [0.5, 0.5]), { seed: 1 });
+    assert.equal(same.k, 1);
+    assert.deepEqual(same.clusters, new Array(10).fill(0));
+});
+
+// Topics 0 and 1 point almost the same way, topic 2 elsewhere; the last document is an outlier
+const fruit = {
+    texts: [
+        'apple pie recipe', 'apple tart recipe', 'pear pie recipe',
+        'pear jam jar', 'pear jam toast',
+        'engine oil change', 'engine brake pads', 'brake fluid change',
+        'random stray words',
+    ],
+    embeddings: [[1, 0, 0], [1, 0.1, 0], [1, 0, 0.1], [0.9, 0.2, 0], [0.9, 0.2, 0.1], [0, 1, 0], [0, 1, 0.1], [0.1, 1, 0], [0, 0, 1]],
+    assignments: [0, 0, 0, 1, 1, 2, 2, 2, -1],
+};
+
+test('buildHierarchy merges the closest topics first and leaves outliers out', () => {
+    const modeler = new TopicModeler();
+    const topics = modeler.buildTopics(fruit.texts, fruit.embeddings, fruit.assignments);
+    const root = modeler.buildHierarchy(topics);
+    assert.equal(root.size, 8);
+    assert.deepEqual([...root.topicIds].sort(), [0, 1, 2]);
+    const [a, b] = root.children;
+    const pair = a.children ? a : b;
+    assert.deepEqual([...pair.topicIds].sort(), [0, 1]);
+    assert.equal(pair.size, 5);
+    assert.ok(pair.distance < root.distance);
+});
+
+test('reduceTopics remaps assignments, keeps outliers and sums merged sizes', () => {
+    const modeler = new TopicModeler();
+    const { topics, assignments } = modeler.reduceTopics(fruit.texts, fruit.embeddings, fruit.assignments, 2);
+    assert.deepEqual(assignments, [0, 0, 0, 0, 0, 1, 1, 1, -1]);
+    assert.deepEqual(topics.map(t => [t.id, t.indices.length]), [[-1, 1], [0, 5], [1, 3]]);
+    // Keywords come from the merged documents
+    assert.ok(topics[1].keywords.some(k => k.includes('pear')), topics[1].keywords.join(' / '));
+    assert.ok(topics[1].keywords.some(k => k.includes('apple')), topics[1].keywords.join(' / '));
+    assert.equal(topics[0].label, 'Outliers');
+});
+
+test('assignToNearest picks the closest centroid and sends far vectors to the outliers', () => {
+    const modeler = new TopicModeler();
+    const topics = modeler.buildTopics(fruit.texts, fruit.embeddings, fruit.assignments);
+    const vectors = [[0.9, 0.2, 0.05], [0.05, 1, 0.05], [1, 0, 0.05], [0, 0.1, 1]];
+    const { assignments, similarities } = modeler.assignToNearest(vectors, topics);
+    // The outlier topic's centroid is never a target, even for the vector right on it
+    assert.deepEqual(assignments, [1, 2, 0, 2]);
+    assert.ok(similarities[2] > 0.99 && similarities[3] < 0.2);
+
+    const threshold = modeler.centroidSimilarityThreshold(topics);
+    assert.ok(threshold > 0.9 && threshold < 1);
+    assert.deepEqual(modeler.assignToNearest(vectors, topics, { minSimilarity: threshold }).assignments, [1, 2, 0, -1]);
+    assert.deepEqual(modeler.assignToNearest(vectors, []).assignments, [-1, -1, -1, -1]);
+});
+
+test('moveDocuments updates assignments, rebuilds the affected topics and drops emptied ones', () => {
+    const modeler = new TopicModeler();
+    const topics = modeler.buildTopics(fruit.texts, fruit.embeddings, fruit.assignments);
+    const untouched = topics.find(t => t.id === 2);
+
+    // Both jam documents leave topic 1 for topic 0
+    const moved = modeler.moveDocuments(fruit.texts, fruit.embeddings, fruit.assignments, topics, [3, 4], 0);
+    assert.deepEqual(moved.assignments, [0, 0, 0, 0, 0, 2, 2, 2, -1]);
+    assert.equal(moved.targetId, 0);
+    assert.deepEqual(moved.affected, [0]);
+    assert.deepEqual(moved.topics.map(t => t.id), [-1, 0, 2]);
+    const target = moved.topics.find(t => t.id === 0);
+    assert.deepEqual(target.indices, [0, 1, 2, 3, 4]);
+    assert.ok(target.keywords.some(k => k.includes('jam')), target.keywords.join(' / '));
+    assert.equal(moved.topics.find(t => t.id === 2), untouched);
+    // The input is left as it was
+    assert.deepEqual(fruit.assignments, [0, 0, 0, 1, 1, 2, 2, 2, -1]);
+
+    // A new topic gets the next free id
+    const split = modeler.moveDocuments(fruit.texts, fruit.embeddings, fruit.assignments, topics, [7], null);
+    assert.equal(split.targetId, 3);
+    assert.deepEqual(split.topics.find(t => t.id === 3).indices, [7]);
+    assert.deepEqual(split.topics.find(t => t.id === 2).indices, [5, 6]);
+    assert.deepEqual(split.affected.sort(), [2, 3]);
+});
@@ -1,47 +1,128 @@
 import { kmeans } from 'ml-kmeans';
+import { hdbscan } from './hdbscan.js';
+import { getStopwords } from './stopwords.js';
+import { cosineSimilarity, meanVector, squaredDistance } from './vectors.js';
+
+// Topic id given to HDBSCAN noise points
+export const OUTLIER_TOPIC = -1;
 
 export class TopicModeler {
-    constructor() {
-        // Basic English stopwords
-        this.stopWords = new Set([
-            "a", "about", "above", "after", "again", "against", "all", "am", "an", "and", "any", "are", "aren't", "as", "at", 
-            "be", "because", "been", "before", "being", "below", "between", "both", "but", "by", 
-            "can't", "cannot", "could", "couldn't", "did", "didn't", "do", "does", "doesn't", "doing", "don't", "down", "during", 
-            "each", "few", "for", "from", "further", "had", "hadn't", "has", "hasn't", "have", "haven't", "having", "he", "he'd", "he'll", "he's", "her", "here", "here's", "hers", "herself", "him", "himself", "his", "how", "how's", 
-            "i", "i'd", "i'll", "i'm", "i've", "if", "in", "into", "is", "isn't", "it", "it's", "its", "itself", 
-            "let's", "me", "more", "most", "mustn't", "my", "myself", "no", "nor", "not", 
-            "of", "off", "on", "once", "only", "or", "other", "ought", "our", "ours", "ourselves", "out", "over", "own", 
-            "same", "shan't", "she", "she'd", "she'll", "she's", "should", "shouldn't", "so", "some", "such", 
-            "than", "that", "that's", "the", "their", "theirs", "them", "themselves", "then", "there", "there's", "these", "they", "they'd", "they'll", "they're", "they've", "this", "those", "through", "to", "too", 
-            "under", "until", "up", "very", 
-            "was", "wasn't", "we", "we'd", "we'll", "we're", "we've", "were", "weren't", "what", "what's", "when", "when's", "where", "where's", "which", "while", "who", "who's", "whom", "why", "why's", "with", "won't", "would", "wouldn't", 
-            "you", "you'd", "you'll", "you're", "you've", "your", "yours", "yourself", "yourselves"
-        ]);
+    /**
+     * @param {object} [options] - keyword extraction settings, see configure()
+     */
+    constructor(options = {}) {
+        this.configure(options);
+    }
+
+    /**
+     * Keyword extraction settings.
+     * @param {object} [options]
+     * @param {string[]} [options.languages=['en']] - stopword lists to apply (see stopwords.js)
+     * @param {string[]} [options.extraStopwords=[]] - additional words to ignore
+     * @param {string[]} [options.protectedTerms=[]] - always kept, even if short or a stopword
+     * @param {number} [options.ngramMax=2] - 1 = unigrams only, 2 = unigrams + bigrams
+     * @param {number} [options.minTokenLength=2] - in characters; CJK tokens are exempt
+     * @param {number} [options.topN=5] - keywords kept per topic
+     * @param {number} [options.nCandidates=20] - top c-TF-IDF terms kept as re-ranking candidates
+     * @param {number} [options.nRepresentative=3] - documents closest to the centroid kept per topic
+     */
+    configure({ languages = ['en'], extraStopwords = [], protectedTerms = [], ngramMax = 2, minTokenLength = 2, topN = 5, nCandidates = 20, nRepresentative = 3 } = {}) {
+        this.keywordOptions = { languages, extraStopwords, protectedTerms, ngramMax, minTokenLength, topN, nCandidates, nRepresentative };
+
+        this.stopWords = getStopwords(languages);
+        for (const w of extraStopwords) this.stopWords.add(w.toLowerCase());
+
+        // Multi-word protected phrases protect each of their words
+        this.protectedTerms = new Set();
+        for (const term of protectedTerms) {
+            for (const w of term.toLowerCase().split(/\s+/)) if (w) this.protectedTerms.add(w);
+        }
     }
 
     /**
      * Main pipeline method
      * @param {string[]} texts - Original text documents
      * @param {number[][]} embeddings - Embedding vectors
-     * @param {number} k - Number of clusters (optional, default auto-estimated or 5)
+     * @param {number} k - Number of clusters for k-means (optional; omitted = pick k automatically, see selectK)
+     * @param {object} [options]
+     * @param {'kmeans'|'hdbscan'} [options.clustering='kmeans'] - HDBSCAN ignores k and reports noise as topic -1
+     * @param {number} [options.minClusterSize] - HDBSCAN only
+     * @param {number} [options.minSamples] - HDBSCAN only
+     * @param {number|null} [options.seed] - k-means initialization seed; null = random
+     * @param {object|null} [options.collapse] - from collapseDuplicates (duplicates.js): only the
+     *   representatives are clustered, weighted by their group size (k-means centroids, SSE and
+     *   silhouette; HDBSCAN densities and cluster sizes), each group member joins its
+     *   representative's topic, and keyword counts use collapse.keywordWeights
+     *   (remaining options are forwarded to selectK in auto mode)
+     * @returns {{ topics: object[], assignments: number[], k: number, kSelection: object|null }}
+     *   assignments[i] is the topic id of texts[i]; kSelection holds the score curve in auto mode.
+     *   Each topic carries its centroid and representativeDocs ({ index, text, score } by cosine).
+     */
+    run(texts, embeddings, k = null, options = {}) {
+        if (!texts || texts.length === 0) return { topics: [], assignments: [], k: 0, kSelection: null };
+        const { clusters, kSelection } = this.cluster(embeddings, k, options);
+        const { collapse = null } = options;
+        const topics = this.buildTopics(texts, embeddings, clusters, { keywordWeights: collapse ? collapse.keywordWeights : null });
+        return {
+            topics,
+            assignments: clusters,
+            k: topics.filter(t => t.id !== OUTLIER_TOPIC).length,
+            kSelection,
+        };
+    }
+
+    /**
+     * The clustering step of run(), without keywords. Needs no texts, so the
+     * web app can run it in a worker (see clusterClient.js).
+     * @param {number[][]} embeddings
+     * @param {number|null} [k] - null picks k automatically
+     * @param {object} [options] - as for run()
+     * @returns {{ clusters: number[], kSelection: object|null }} topic id per embedding
      */
-    run(texts, embeddings, k = null) {
-        if (!texts || texts.length === 0) return [];
+    cluster(embeddings, k = null, options = {}) {
+        const { clustering = 'kmeans', minClusterSize, minSamples, seed = null, collapse = null, ...selectOptions } = options;
+        const points = collapse ? collapse.representatives.map(i => embeddings[i]) : embeddings;
+        const weights = collapse ? collapse.weights : null;
 
-        // 1. Cluster
-        // If k is not provided, use a simple heuristic: sqrt(N/2) or just 5 if small
-        const numClusters = k || Math.max(2, Math.floor(Math.sqrt(texts.length / 2)));
-        const { clusters } = this._cluster(embeddings, numClusters);
+        // (never more clusters than points, so a single line still gets a topic)
+        let clusters;
+        let kSelection = null;
+        if (clustering === 'hdbscan') {
+            ({ clusters } = this._clusterDensity(points, { minClusterSize, minSamples, weights }));
+        } else if (k) {
+            ({ clusters } = this._cluster(points, Math.min(points.length, k), seed, weights));
+        } else {
+            ({ clusters, ...kSelection } = this.selectK(points, { ...selectOptions, seed, weights }));
+        }
+        if (collapse) {
+            const position = new Map(collapse.representatives.map((doc, p) => [doc, p]));
+            clusters = collapse.representativeOf.map(doc => clusters[position.get(doc)]);
+        }
+        return { clusters, kSelection };
+    }
 
+    /**
+     * Groups documents by their topic id, extracts c-TF-IDF keywords and
+     * finds each topic's centroid and most representative documents.
+     * Used by run(), and directly whenever assignments change without re-clustering.
+     * @param {string[]} texts
+     * @param {number[][]} embeddings
+     * @param {number[]} clusters - topic id per text
+     * @param {object} [options]
+     * @param {number[]|null} [options.keywordWeights] - per text, scales its term counts (default 1 each)
+     * @returns {object[]} topics sorted by id
+     */
+    buildTopics(texts, embeddings, clusters, { keywordWeights = null } = {}) {
         // 2. Group docs by cluster
         const clusteredDocs = new Map();
         for (let i = 0; i < clusters.length; i++) {
             const label = clusters[i];
             if (!clusteredDocs.has(label)) {
-                clusteredDocs.set(label, { docs: [], indices: [] });
+                clusteredDocs.set(label, { docs: [], indices: [], weights: [] });
             }
             clusteredDocs.get(label).docs.push(texts[i]);
             clusteredDocs.get(label).indices.push(i);
+            clusteredDocs.get(label).weights.push(keywordWeights ? keywordWeights[i] : 1);
         }
 
         // 3. c-TF-IDF & Keyword Extraction
@@ -55,18 +136,11 @@ export class TopicModeler {
         const clusterWordCounts = new Map(); // label -> Map<word, count>
         
         for (const [label, data] of clusteredDocs.entries()) {
-            const wordCounts = this._countWords(data.docs);
+            const wordCounts = this._countWords(data.docs, data.weights);
             clusterWordCounts.set(label, wordCounts);
         }
 
-        // Calculate IDF for each word across clusters: 
-        // IDF(t) = log(1 + A / F) where A = avg number of words per class? 
-        // Or user provided formula: log(1 + (total_clusters / freq_in_clusters))
-        // freq_in_clusters: number of clusters containing the word? Or total frequency?
-        // Standard c-TF-IDF usually defines IDF as: log(1 + TotalDocuments / FrequencyAcrossAllDocuments) ??? 
-        // The user prompted: "log(1 + (total_clusters / freq_in_clusters))"
-        // Let's interpret 'freq_in_clusters' as "number of clusters containing the word t".
-        
+        // IDF(t) = log(1 + number of topics / number of topics containing t)
         // Build map: word -> set of clusters containing it
         const wordInClusters = new Map();
         for (const [label, wordCounts] of clusterWordCounts.entries()) {
@@ -86,11 +160,9 @@ export class TopicModeler {
             // Compute scores
             const scores = [];
             for (const [word, count] of wordCounts.entries()) {
-                // TF = frequency in this cluster (can be raw count or normalized)
-                // c-TF-IDF usually uses raw count * IDF, or (count/total) * IDF
-                // We'll use count for "frequency of words in that cluster" as per prompt prompt.
-                // But normalization is better for ranking. Let's use count.
-                const tf = count; 
+                // TF = frequency normalized by the cluster's term count,
+                // so large clusters don't win on raw counts alone
+                const tf = count / totalWordsInCluster;
                 
                 // IDF
                 const clustersWithWord = wordInClusters.get(word).size;
@@ -104,46 +176,525 @@ export class TopicModeler {
             scores.sort((a, b) => b.score - a.score);
             
             // Top keywords
-            const keywords = scores.slice(0, 5).map(s => s.word);
+            const keywords = this._pickKeywords(scores);
             
-            // Generate label
-            // e.g. "word1_word2_word3"
-            const topicLabel = keywords.slice(0, 3).join("_") || `Topic ${label}`;
+            // Generate label, e.g. "word1, word2, word3"
+            const topicLabel = label === OUTLIER_TOPIC
+                ? "Outliers"
+                : keywordLabel(keywords) || `Topic ${label}`;
+
+            const topicEmbeddings = data.indices.map(i => embeddings[i]);
+            const centroid = meanVector(topicEmbeddings);
 
             results.push({
                 id: label,
                 label: topicLabel,
                 keywords: keywords,
+                candidates: scores.slice(0, this.keywordOptions.nCandidates).map(s => s.word),
                 docs: data.docs,
                 indices: data.indices, // Include original indices for mapping back
-                // We don't necessarily need to return all embeddings in the JSON object unless asked,
-                // but the prompt asked for "embeddings": [ ...array of vectors... ]
-                embeddings: data.indices.map(i => embeddings[i]) 
+                embeddings: topicEmbeddings,
+                centroid,
+                representativeDocs: this._representativeDocs(data, topicEmbeddings, centroid),
             });
         }
 
         return results.sort((a, b) => a.id - b.id);
     }
 
-    _cluster(embeddings, k) {
+    /**
+     * Agglomerative hierarchy over topics: repeatedly merges the two topics
+     * whose (size-weighted) centroids have the highest cosine similarity.
+     * The outlier topic is left out.
+     * @param {object[]} topics - from buildTopics()
+     * @returns {object|null} root node; leaves are { topicId, label, size, topicIds, distance: 0 },
+     *   inner nodes { children: [left, right], size, topicIds, distance } with distance = 1 - cosine
+     */
+    buildHierarchy(topics) {
+        const leaves = topics
+            .filter(t => t.id !== OUTLIER_TOPIC && t.centroid)
+            .map(t => ({ topicId: t.id, label: t.label, size: t.indices.length, topicIds: [t.id], distance: 0 }));
+        if (leaves.length === 0) return null;
+
+        const centroids = new Map(topics.map(t => [t.id, t.centroid]));
+        const nodes = agglomerate(leaves.map(l => ({ node: l, centroid: centroids.get(l.topicId), size: l.size })), 1);
+        return nodes[0];
+    }
+
+    /**
+     * Merges topics along the hierarchy until at most n remain and recomputes
+     * their keywords. Merged topics are renumbered 0..n-1 by size; outliers stay -1.
+     * @param {string[]} texts
+     * @param {number[][]} embeddings
+     * @param {number[]} assignments - current topic id per text
+     * @param {number} n
+     * @param {object} [options] - keywordWeights, see buildTopics
+     * @returns {{ topics: object[], assignments: number[] }}
+     */
+    reduceTopics(texts, embeddings, assignments, n, options = {}) {
+        const current = this.buildTopics(texts, embeddings, assignments, options)
+            .filter(t => t.id !== OUTLIER_TOPIC);
+        const groups = agglomerate(current.map(t => ({
+            node: { topicIds: [t.id], size: t.indices.length },
+            centroid: t.centroid,
+            size: t.indices.length,
+        })), Math.max(1, n));
+
+        groups.sort((a, b) => b.size - a.size);
+        const newId = new Map();
+        groups.forEach((g, i) => g.topicIds.forEach(id => newId.set(id, i)));
+        const merged = assignments.map(id => (id === OUTLIER_TOPIC ? id : newId.get(id)));
+        return { topics: this.buildTopics(texts, embeddings, merged, options), assignments: merged };
+    }
+
+    /**
+     * Manual correction: moves documents to another topic. Only the topics
+     * that lost or gained documents get new keywords, labels and centroids;
+     * the others are returned unchanged (keeping re-ranked keywords).
+     * @param {string[]} texts
+     * @param {number[][]} embeddings
+     * @param {number[]} assignments - current topic id per text
+     * @param {object[]} topics - current topics, from buildTopics()
+     * @param {number[]} indices - documents to move
+     * @param {number|null} targetId - existing topic id, or null for a new topic
+     * @param {object} [options] - keywordWeights, see buildTopics
+     * @returns {{ topics: object[], assignments: number[], targetId: number, affected: number[] }}
+     *   topics emptied by the move are dropped
+     */
+    moveDocuments(texts, embeddings, assignments, topics, indices, targetId = null, options = {}) {
+        if (targetId === null) targetId = assignments.reduce((max, id) => Math.max(max, id), OUTLIER_TOPIC) + 1;
+        const affected = new Set([targetId, ...indices.map(i => assignments[i])]);
+        const moved = assignments.slice();
+        for (const i of indices) moved[i] = targetId;
+
+        const rebuilt = new Map(this.buildTopics(texts, embeddings, moved, options).map(t => [t.id, t]));
+        const result = topics
+            .filter(t => rebuilt.has(t.id))
+            .map(t => (affected.has(t.id) ? rebuilt.get(t.id) : t));
+        if (!topics.some(t => t.id === targetId) && rebuilt.has(targetId)) result.push(rebuilt.get(targetId));
+        return {
+            topics: result.sort((a, b) => a.id - b.id),
+            assignments: moved,
+            targetId,
+            affected: [...affected].filter(id => rebuilt.has(id)),
+        };
+    }
+
+    /**
+     * Assigns new vectors to the closest existing topic centroid (cosine),
+     * without re-clustering. The outlier topic is never a target.
+     * @param {number[][]} embeddings
+     * @param {object[]} topics - from buildTopics()
+     * @param {object} [options]
+     * @param {number} [options.minSimilarity=-Infinity] - vectors less similar to every centroid
+     *   go to the outlier topic (e.g. centroidSimilarityThreshold() for HDBSCAN maps)
+     * @returns {{ assignments: number[], similarities: number[] }} similarities to the nearest centroid
+     */
+    assignToNearest(embeddings, topics, { minSimilarity = -Infinity } = {}) {
+        const targets = topics.filter(t => t.id !== OUTLIER_TOPIC && t.centroid);
+        if (targets.length === 0) {
+            return { assignments: embeddings.map(() => OUTLIER_TOPIC), similarities: embeddings.map(() => 0) };
+        }
+        const assignments = [];
+        const similarities = [];
+        for (const e of embeddings) {
+            let best = targets[0];
+            let bestSim = -Infinity;
+            for (const t of targets) {
+                const sim = cosineSimilarity(e, t.centroid);
+                if (sim > bestSim) {
+                    bestSim = sim;
+                    best = t;
+                }
+            }
+            assignments.push(bestSim < minSimilarity ? OUTLIER_TOPIC : best.id);
+            similarities.push(bestSim);
+        }
+        return { assignments, similarities };
+    }
+
+    /**
+     * How close fitted documents sit to their own centroid: the given quantile
+     * of member-to-centroid cosine similarity. New vectors below it are
+     * farther from every topic than nearly all fitted documents.
+     * @param {object[]} topics
+     * @param {number} [quantile=0.05]
+     * @returns {number}
+     */
+    centroidSimilarityThreshold(topics, quantile = 0.05) {
+        const sims = [];
+        for (const t of topics) {
+            if (t.id === OUTLIER_TOPIC || !t.centroid) continue;
+            for (const e of t.embeddings) sims.push(cosineSimilarity(e, t.centroid));
+        }
+        if (sims.length === 0) return 0;
+        sims.sort((a, b) => a - b);
+        return sims[Math.min(sims.length - 1, Math.floor(quantile * sims.length))];
+    }
+
+    // The topic's documents ranked by cosine similarity to its centroid
+    _representativeDocs({ docs, indices }, topicEmbeddings, centroid) {
+        return topicEmbeddings
+            .map((e, j) => ({ index: indices[j], text: docs[j], score: cosineSimilarity(e, centroid) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.keywordOptions.nRepresentative);
+    }
+
+    /**
+     * KeyBERT-style re-ranking: embeds each topic's c-TF-IDF candidates and picks
+     * keywords by maximal marginal relevance, i.e. close to the topic centroid
+     * but not redundant with keywords already picked. Updates keywords and
+     * labels in place; the outlier topic keeps its label.
+     * @param {object[]} topics - from buildTopics()
+     * @param {(phrases: string[]) => Promise<number[][]>} embedPhrases - must use the documents' model
+     * @param {object} [options]
+     * @param {number} [options.diversity=0.5] - 0 = closest to centroid only, 1 = most diverse
+     * @returns {Promise<object[]>} the same topics
+     */
+    async rerankKeywords(topics, embedPhrases, { diversity = 0.5 } = {}) {
+        const phrases = Array.from(new Set(topics.flatMap(t => t.candidates)));
+        if (phrases.length === 0) return topics;
+        const vectors = await embedPhrases(phrases);
+        // Cancelled embedding runs return fewer vectors; keep the c-TF-IDF keywords then
+        if (!vectors || vectors.length !== phrases.length) return topics;
+        const byPhrase = new Map(phrases.map((p, i) => [p, vectors[i]]));
+
+        for (const topic of topics) {
+            if (topic.id === OUTLIER_TOPIC || !topic.centroid || topic.candidates.length === 0) continue;
+            const candidates = topic.candidates.map(word => ({
+                word,
+                vector: byPhrase.get(word),
+                relevance: cosineSimilarity(byPhrase.get(word), topic.centroid),
+            }));
+
+            const picked = [];
+            while (picked.length < this.keywordOptions.topN && candidates.length) {
+                let bestIdx = 0;
+                let bestScore = -Infinity;
+                candidates.forEach((c, i) => {
+                    const redundancy = picked.reduce((max, p) => Math.max(max, cosineSimilarity(c.vector, p.vector)), 0);
+                    const score = (1 - diversity) * c.relevance - diversity * redundancy;
+                    if (score > bestScore) {
+                        bestScore = score;
+                        bestIdx = i;
+                    }
+                });
+                const [best] = candidates.splice(bestIdx, 1);
+                picked.push(best);
+                // No word twice across keywords
+                for (let i = candidates.length - 1; i >= 0; i--) {
+                    if (sharesWord(candidates[i].word, best.word)) candidates.splice(i, 1);
+                }
+            }
+
+            topic.keywords = picked.map(c => c.word);
+            topic.label = keywordLabel(topic.keywords);
+        }
+        return topics;
+    }
+
+    // Top-N terms without repeating a word: a bigram takes the place of the
+    // unigrams it contains, and terms sharing a word with a kept bigram are skipped
+    _pickKeywords(scores) {
+        const keywords = [];
+        for (const { word } of scores) {
+            if (keywords.length >= this.keywordOptions.topN) break;
+            if (keywords.some(k => k.includes(' ') && sharesWord(k, word))) continue;
+            const parts = word.split(' ');
+            if (parts.length === 1) {
+                keywords.push(word);
+                continue;
+            }
+            const covered = keywords.findIndex(k => parts.includes(k));
+            if (covered === -1) {
+                keywords.push(word);
+            } else {
+                keywords[covered] = word;
+                for (let i = keywords.length - 1; i > covered; i--) {
+                    if (parts.includes(keywords[i])) keywords.splice(i, 1);
+                }
+            }
+        }
+        return keywords;
+    }
+
+    /**
+     * Scans k over a range and picks the best clustering.
+     *  - 'silhouette': highest mean silhouette (computed on an evenly spaced sample)
+     *  - 'elbow': knee of the within-cluster SSE curve (max distance to the chord)
+     * @param {number[][]} embeddings
+     * @param {object} [options]
+     * @param {'silhouette'|'elbow'} [options.method='silhouette']
+     * @param {number} [options.kMin=2]
+     * @param {number} [options.kMax] - default 2 * sqrt(N/2), capped at 15
+     * @param {number} [options.sampleSize=1000] - points used for silhouette
+     * @param {number|null} [options.seed] - k-means initialization seed; null = random
+     * @param {number[]|null} [options.weights] - per point, how many documents it stands for (default 1 each)
+     * @returns {{ method: string, k: number, candidates: { k: number, sse: number, silhouette: number }[], clusters: number[] }}
+     */
+    selectK(embeddings, { method = 'silhouette', kMin = 2, kMax = null, sampleSize = 1000, seed = null, weights = null } = {}) {
+        const N = embeddings.length;
+        const upper = Math.min(N - 1, kMax || Math.min(15, Math.max(4, Math.floor(2 * Math.sqrt(N / 2)))));
+
+        // Identical vectors form one cluster whatever k is
+        if (N > 0 && embeddings.every(e => squaredDistance(e, embeddings[0]) === 0)) {
+            return { method, k: 1, candidates: [], clusters: new Array(N).fill(0) };
+        }
+
+        // Too few points for a meaningful scan
+        if (upper < kMin) {
+            const k = Math.min(N, kMin);
+            return { method, k, candidates: [], clusters: this._cluster(embeddings, k, seed, weights).clusters };
+        }
+
+        // Evenly spaced sample keeps silhouette O(sample^2) and deterministic
+        const count = Math.min(N, sampleSize);
+        const sample = Array.from({ length: count }, (_, s) => Math.floor((s * N) / count));
+        const dist = pairwiseDistances(sample.map(i => embeddings[i]));
+
+        const candidates = [];
+        const clusterings = new Map();
+        for (let k = kMin; k <= upper; k++) {
+            const { clusters, centroids } = this._cluster(embeddings, k, seed, weights);
+            clusterings.set(k, clusters);
+            candidates.push({
+                k,
+                sse: withinClusterSSE(embeddings, clusters, centroids, weights),
+                silhouette: silhouette(dist, sample.map(i => clusters[i]), weights && sample.map(i => weights[i])),
+            });
+        }
+
+        const best = method === 'elbow' ? elbow(candidates) : candidates.reduce((a, b) => (b.silhouette > a.silhouette ? b : a));
+        return { method, k: best.k, candidates, clusters: clusterings.get(best.k) };
+    }
+
+    // Cluster ids are renumbered by size (0 = largest) so colors don't depend on initialization order.
+    // ml-kmeans has no point weights: with weights, its result seeds weighted Lloyd iterations.
+    _cluster(embeddings, k, seed = null, weights = null) {
         // ml-kmeans expects array of arrays
-        const result = kmeans(embeddings, k, { initialization: 'kmeans++' });
-        return { clusters: result.clusters };
+        let result = kmeans(embeddings, k, { initialization: 'kmeans++', seed: seed ?? undefined });
+        if (weights) result = weightedKMeans(embeddings, weights, result.centroids);
+        const order = idsBySize(result.clusters, k, weights);
+        const newId = new Array(k);
+        order.forEach((old, i) => { newId[old] = i; });
+        return {
+            clusters: result.clusters.map(c => newId[c]),
+            centroids: order.map(old => result.centroids[old]),
+        };
+    }
+
+    _clusterDensity(embeddings, { minClusterSize = 5, minSamples = null, weights = null } = {}) {
+        const { labels } = hdbscan(embeddings, { minClusterSize, minSamples, weights });
+        return { clusters: labels };
     }
 
-    _countWords(docs) {
+    /**
+     * Lowercased word tokens in document order; dropped tokens (stopwords,
+     * too short) are returned as null so n-grams never bridge over them.
+     * @param {string} doc
+     * @returns {(string|null)[]}
+     */
+    tokenize(doc) {
+        const { minTokenLength } = this.keywordOptions;
+        return splitWords(doc.toLowerCase().normalize('NFC')).map(w => {
+            if (this.protectedTerms.has(w)) return w;
+            if (this.stopWords.has(w)) return null;
+            if (Array.from(w).length < minTokenLength && !CJK.test(w)) return null;
+            return w;
+        });
+    }
+
+    _countWords(docs, weights = null) {
         const counts = new Map();
-        for (const doc of docs) {
-            // Normalize: lower case, remove punctuation
-            const words = doc.toLowerCase()
-                .replace(/[^\w\s]/g, ' ') // remove non-alpha chars (keep spaces)
-                .split(/\s+/)
-                .filter(w => w.length > 2 && !this.stopWords.has(w)); // filter short and stopwords
-
-            for (const w of words) {
-                counts.set(w, (counts.get(w) || 0) + 1);
+        let weight = 1;
+        const add = (term) => counts.set(term, (counts.get(term) || 0) + weight);
+        for (const [d, doc] of docs.entries()) {
+            if (weights) weight = weights[d];
+            const tokens = this.tokenize(doc);
+            for (let i = 0; i < tokens.length; i++) {
+                if (!tokens[i]) continue;
+                add(tokens[i]);
+                if (this.keywordOptions.ngramMax >= 2 && tokens[i + 1]) {
+                    add(`${tokens[i]} ${tokens[i + 1]}`);
+                }
             }
         }
         return counts;
     }
 }
+
+// Topic label from its top keywords; the same format for c-TF-IDF and re-ranked keywords
+function keywordLabel(keywords) {
+    return keywords.slice(0, 3).join(', ');
+}
+
+function sharesWord(a, b) {
+    const words = a.split(' ');
+    return b.split(' ').some(w => words.includes(w));
+}
+
+// Scripts written without spaces, where single characters are real words
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+const segmenter = typeof Intl !== 'undefined' && Intl.Segmenter ? new Intl.Segmenter(undefined, { granularity: 'word' }) : null;
+
+// Unicode-aware word split; Intl.Segmenter also handles scripts without spaces
+function splitWords(text) {
+    if (segmenter) {
+        const words = [];
+        for (const { segment, isWordLike } of segmenter.segment(text)) {
+            if (isWordLike) words.push(segment);
+        }
+        return words;
+    }
+    return text.match(/[\p{L}\p{N}][\p{L}\p{M}\p{N}'’_-]*/gu) || [];
+}
+
+// Cluster ids 0..k-1 sorted by member count (desc, weighted when given); ties go to the cluster seen first
+function idsBySize(clusters, k, weights = null) {
+    const sizes = new Array(k).fill(0);
+    const first = new Array(k).fill(Infinity);
+    clusters.forEach((c, i) => {
+        sizes[c] += weights ? weights[i] : 1;
+        if (first[c] === Infinity) first[c] = i;
+    });
+    return Array.from({ length: k }, (_, id) => id).sort((a, b) => sizes[b] - sizes[a] || first[a] - first[b]);
+}
+
+// Centroid-linkage agglomeration on cosine distance, stopping at `target` groups.
+// items: { node, centroid, size }; returns the remaining nodes.
+function agglomerate(items, target) {
+    const active = items.map(item => ({ ...item }));
+    while (active.length > target) {
+        let best = null;
+        for (let i = 0; i < active.length; i++) {
+            for (let j = i + 1; j < active.length; j++) {
+                const distance = 1 - cosineSimilarity(active[i].centroid, active[j].centroid);
+                if (!best || distance < best.distance) best = { i, j, distance };
+            }
+        }
+        const a = active[best.i];
+        const b = active[best.j];
+        const size = a.size + b.size;
+        const centroid = a.centroid.map((v, d) => (v * a.size + b.centroid[d] * b.size) / size);
+        const node = {
+            children: [a.node, b.node],
+            size,
+            topicIds: [...a.node.topicIds, ...b.node.topicIds],
+            distance: best.distance,
+        };
+        active.splice(best.j, 1);
+        active[best.i] = { node, centroid, size };
+    }
+    return active.map(item => item.node);
+}
+
+// Full symmetric Euclidean distance matrix, flattened row-major
+function pairwiseDistances(points) {
+    const n = points.length;
+    const dist = new Float32Array(n * n);
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const d = Math.sqrt(squaredDistance(points[i], points[j]));
+            dist[i * n + j] = d;
+            dist[j * n + i] = d;
+        }
+    }
+    return dist;
+}
+
+// Lloyd iterations where each point counts `weights[i]` times; a cluster left empty keeps its centroid
+function weightedKMeans(points, weights, initial, maxIterations = 100) {
+    const centroids = initial.map(c => c.slice());
+    let clusters = null;
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        const next = points.map(p => {
+            let best = 0;
+            let bestDist = Infinity;
+            centroids.forEach((c, j) => {
+                const d = squaredDistance(p, c);
+                if (d < bestDist) {
+                    bestDist = d;
+                    best = j;
+                }
+            });
+            return best;
+        });
+        if (clusters && next.every((c, i) => c === clusters[i])) break;
+        clusters = next;
+
+        const sums = centroids.map(c => new Array(c.length).fill(0));
+        const totals = new Array(centroids.length).fill(0);
+        points.forEach((p, i) => {
+            const w = weights[i];
+            totals[clusters[i]] += w;
+            p.forEach((v, d) => { sums[clusters[i]][d] += w * v; });
+        });
+        sums.forEach((sum, j) => {
+            if (totals[j] > 0) centroids[j] = sum.map(v => v / totals[j]);
+        });
+    }
+    return { clusters, centroids };
+}
+
+function withinClusterSSE(points, clusters, centroids, weights = null) {
+    let sse = 0;
+    for (let i = 0; i < points.length; i++) {
+        sse += (weights ? weights[i] : 1) * squaredDistance(points[i], centroids[clusters[i]]);
+    }
+    return sse;
+}
+
+// Mean silhouette coefficient; points alone in their cluster score 0.
+// A point of weight w counts as w copies: the w - 1 extra copies sit at distance 0 in its own cluster.
+function silhouette(dist, labels, weights = null) {
+    const n = labels.length;
+    const weight = (i) => (weights ? weights[i] : 1);
+    let total = 0;
+    let totalWeight = 0;
+    for (let i = 0; i < n; i++) {
+        totalWeight += weight(i);
+        const sums = new Map();
+        const counts = new Map();
+        if (weight(i) > 1) {
+            sums.set(labels[i], 0);
+            counts.set(labels[i], weight(i) - 1);
+        }
+        for (let j = 0; j < n; j++) {
+            if (i === j) continue;
+            sums.set(labels[j], (sums.get(labels[j]) || 0) + weight(j) * dist[i * n + j]);
+            counts.set(labels[j], (counts.get(labels[j]) || 0) + weight(j));
+        }
+        if (!counts.has(labels[i])) continue;
+
+        const a = sums.get(labels[i]) / counts.get(labels[i]);
+        let b = Infinity;
+        for (const [label, sum] of sums.entries()) {
+            if (label !== labels[i]) b = Math.min(b, sum / counts.get(label));
+        }
+        if (b === Infinity) continue;
+        total += weight(i) * ((b - a) / Math.max(a, b) || 0);
+    }
+    return totalWeight > 0 ? total / totalWeight : 0;
+}
+
+// Knee of the SSE curve: the candidate farthest below the chord from first to last
+function elbow(candidates) {
+    if (candidates.length < 3) return candidates[0];
+    const first = candidates[0];
+    const last = candidates[candidates.length - 1];
+    const kSpan = last.k - first.k;
+    const sseSpan = first.sse - last.sse || 1;
+
+    let best = first;
+    let bestGap = -Infinity;
+    for (const c of candidates) {
+        const x = (c.k - first.k) / kSpan;
+        const y = (first.sse - c.sse) / sseSpan;
+        if (y - x > bestGap) {
+            bestGap = y - x;
+            best = c;
+        }
+    }
+    return best;
+}
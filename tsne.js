@@ -0,0 +1,184 @@
+import { randomNormal } from './random.js';
+
+// Fitting holds four N×N Float64Arrays: ~290 MB at this size, 800 MB at 5k
+export const TSNE_MAX_POINTS = 3000;
+
+/**
+ * Exact t-SNE (van der Maaten & Hinton, 2008).
+ *
+ * O(N^2) per iteration, which is fine for the few thousand points this app
+ * plots. Mirrors the umap-js API (initializeFit / step / getEmbedding) so
+ * DimensionalityReducer can drive both the same way.
+ */
+export class TSNE {
+    /**
+     * @param {object} [params]
+     * @param {number} [params.nComponents=3]
+     * @param {number} [params.perplexity=30]
+     * @param {number} [params.nIter=500]
+     * @param {number} [params.learningRate=200]
+     * @param {() => number} [params.random=Math.random]
+     */
+    constructor({ nComponents = 3, perplexity = 30, nIter = 500, learningRate = 200, random = Math.random } = {}) {
+        this.nComponents = nComponents;
+        this.perplexity = perplexity;
+        this.nIter = nIter;
+        this.learningRate = learningRate;
+        this.random = random;
+
+        this.exaggerationIters = 100;
+        this.iter = 0;
+    }
+
+    /**
+     * Computes the joint probabilities P and a random initial layout.
+     * @param {number[][]} data
+     * @returns {number} number of iterations step() should be called
+     */
+    initializeFit(data) {
+        const N = data.length;
+        this.N = N;
+
+        const dist = new Float64Array(N * N);
+        for (let i = 0; i < N; i++) {
+            for (let j = i + 1; j < N; j++) {
+                let d = 0;
+                const a = data[i], b = data[j];
+                for (let k = 0; k < a.length; k++) {
+                    const diff = a[k] - b[k];
+                    d += diff * diff;
+                }
+                dist[i * N + j] = d;
+                dist[j * N + i] = d;
+            }
+        }
+
+        // Perplexity must leave room for the neighbours that exist
+        const perplexity = Math.max(1, Math.min(this.perplexity, (N - 1) / 3));
+        const conditional = this._conditionalP(dist, N, perplexity);
+
+        // Symmetrize: p_ij = (p_j|i + p_i|j) / 2N
+        this.P = new Float64Array(N * N);
+        for (let i = 0; i < N; i++) {
+            for (let j = 0; j < N; j++) {
+                this.P[i * N + j] = Math.max((conditional[i * N + j] + conditional[j * N + i]) / (2 * N), 1e-12);
+            }
+        }
+
+        const dim = this.nComponents;
+        this.Y = new Float64Array(N * dim);
+        for (let i = 0; i < this.Y.length; i++) this.Y[i] = randomNormal(this.random) * 1e-4;
+        this.update = new Float64Array(N * dim);
+        this.gains = new Float64Array(N * dim).fill(1);
+        this.num = new Float64Array(N * N);
+        this.iter = 0;
+        return this.nIter;
+    }
+
+    // Binary-searches a Gaussian precision per point to hit the target perplexity
+    _conditionalP(dist, N, perplexity) {
+        const P = new Float64Array(N * N);
+        const targetEntropy = Math.log(perplexity);
+
+        for (let i = 0; i < N; i++) {
+            let beta = 1;
+            let betaMin = -Infinity;
+            let betaMax = Infinity;
+            const row = i * N;
+
+            for (let tries = 0; tries < 50; tries++) {
+                let sum = 0;
+                for (let j = 0; j < N; j++) {
+                    const p = j === i ? 0 : Math.exp(-dist[row + j] * beta);
+                    P[row + j] = p;
+                    sum += p;
+                }
+                if (sum === 0) sum = 1e-12;
+
+                let entropy = 0;
+                for (let j = 0; j < N; j++) {
+                    const p = P[row + j] / sum;
+                    P[row + j] = p;
+                    if (p > 1e-12) entropy -= p * Math.log(p);
+                }
+
+                const diff = entropy - targetEntropy;
+                if (Math.abs(diff) < 1e-5) break;
+                if (diff > 0) {
+                    betaMin = beta;
+                    beta = betaMax === Infinity ? beta * 2 : (beta + betaMax) / 2;
+                } else {
+                    betaMax = beta;
+                    beta = betaMin === -Infinity ? beta / 2 : (beta + betaMin) / 2;
+                }
+            }
+        }
+        return P;
+    }
+
+    /**
+     * One gradient descent iteration.
+     * @returns {number} the iteration just completed
+     */
+    step() {
+        const N = this.N;
+        const dim = this.nComponents;
+        const Y = this.Y;
+        const exaggeration = this.iter < this.exaggerationIters ? 4 : 1;
+        const momentum = this.iter < 250 ? 0.5 : 0.8;
+
+        // Student-t kernel numerators and normalizer
+        const num = this.num;
+        let Z = 0;
+        for (let i = 0; i < N; i++) {
+            for (let j = i + 1; j < N; j++) {
+                let d = 0;
+                for (let k = 0; k < dim; k++) {
+                    const diff = Y[i * dim + k] - Y[j * dim + k];
+                    d += diff * diff;
+                }
+                const q = 1 / (1 + d);
+                num[i * N + j] = q;
+                num[j * N + i] = q;
+                Z += 2 * q;
+            }
+        }
+
+        const grad = new Float64Array(N * dim);
+        for (let i = 0; i < N; i++) {
+            for (let j = 0; j < N; j++) {
+                if (i === j) continue;
+                const q = num[i * N + j];
+                const mult = 4 * (exaggeration * this.P[i * N + j] - q / Z) * q;
+                for (let k = 0; k < dim; k++) {
+                    grad[i * dim + k] += mult * (Y[i * dim + k] - Y[j * dim + k]);
+                }
+            }
+        }
+
+        // Delta-bar-delta gains, momentum update, then re-center
+        const mean = new Float64Array(dim);
+        for (let idx = 0; idx < Y.length; idx++) {
+            const sameSign = Math.sign(grad[idx]) === Math.sign(this.update[idx]);
+            this.gains[idx] = Math.max(sameSign ? this.gains[idx] * 0.8 : this.gains[idx] + 0.2, 0.01);
+            this.update[idx] = momentum * this.update[idx] - this.learningRate * this.gains[idx] * grad[idx];
+            Y[idx] += this.update[idx];
+            mean[idx % dim] += Y[idx];
+        }
+        for (let idx = 0; idx < Y.length; idx++) {
+            Y[idx] -= mean[idx % dim] / N;
+        }
+
+        return this.iter++;
+    }
+
+    /** @returns {number[][]} */
+    getEmbedding() {
+        const dim = this.nComponents;
+        const out = [];
+        for (let i = 0; i < this.N; i++) {
+            out.push(Array.from(this.Y.subarray(i * dim, (i + 1) * dim)));
+        }
+        return out;
+    }
+}
@@ -0,0 +1,65 @@
+/*
+ * Small vector helpers shared by PCA, clustering, topic modeling, search,
+ * chunking and deduplication.
+ */
+
+export function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+/** Euclidean length. */
+export function norm(v) {
+    return Math.sqrt(dot(v, v));
+}
+
+/**
+ * Unit-length copy; an all-zero vector is returned as zeros.
+ * @param {ArrayLike<number>} v
+ * @returns {number[]}
+ */
+export function normalize(v) {
+    const length = norm(v);
+    return length > 0 ? Array.from(v, x => x / length) : Array.from(v);
+}
+
+export function squaredDistance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        const d = a[i] - b[i];
+        sum += d * d;
+    }
+    return sum;
+}
+
+/**
+ * Cosine similarity; 0 when either vector is all zeros.
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>} b
+ * @returns {number}
+ */
+export function cosineSimilarity(a, b) {
+    let ab = 0, aa = 0, bb = 0;
+    for (let i = 0; i < a.length; i++) {
+        ab += a[i] * b[i];
+        aa += a[i] * a[i];
+        bb += b[i] * b[i];
+    }
+    const denom = Math.sqrt(aa * bb);
+    return denom > 0 ? ab / denom : 0;
+}
+
+/**
+ * Component-wise mean; null for an empty list.
+ * @param {ArrayLike<number>[]} vectors
+ * @returns {number[]|null}
+ */
+export function meanVector(vectors) {
+    if (!vectors.length) return null;
+    const mean = new Array(vectors[0].length).fill(0);
+    for (const v of vectors) {
+        for (let d = 0; d < mean.length; d++) mean[d] += v[d];
+    }
+    return mean.map(x => x / vectors.length);
+}
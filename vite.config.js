@@ -1,6 +1,48 @@
 import { defineConfig } from 'vite';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ortDir = fileURLToPath(new URL('./node_modules/@huggingface/transformers/dist/', import.meta.url));
+const ortFiles = ['ort-wasm-simd-threaded.jsep.wasm', 'ort-wasm-simd-threaded.jsep.mjs'];
+const modelsDir = fileURLToPath(new URL('./public/models/', import.meta.url));
+
+// Self-hosts the onnxruntime-web binaries at /ort/ (dev server + dist/ort/),
+// and answers missing files under /models/ with a 404 instead of index.html
+function ortAssets() {
+  return {
+    name: 'ort-assets',
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const url = decodeURIComponent(req.url.split('?')[0]);
+        if (url.startsWith('/ort/') && ortFiles.includes(path.basename(url))) {
+          const file = path.basename(url);
+          res.setHeader('Content-Type', file.endsWith('.wasm') ? 'application/wasm' : 'text/javascript');
+          fs.createReadStream(path.join(ortDir, file)).pipe(res);
+          return;
+        }
+        if (url.startsWith('/models/') && !fs.existsSync(path.join(modelsDir, url.slice('/models/'.length)))) {
+          res.statusCode = 404;
+          res.end();
+          return;
+        }
+        next();
+      });
+    },
+    generateBundle() {
+      for (const file of ortFiles) {
+        this.emitFile({ type: 'asset', fileName: `ort/${file}`, source: fs.readFileSync(path.join(ortDir, file)) });
+      }
+    }
+  };
+}
+
 export default defineConfig({
+  plugins: [ortAssets()],
   build: {
     target: 'esnext'
+  },
+  worker: {
+    format: 'es'
   }
 });